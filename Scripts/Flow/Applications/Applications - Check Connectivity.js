@@ -0,0 +1,180 @@
+import { RadarrVc } from 'Shared/RadarrVc';
+import { SonarrVc } from 'Shared/SonarrVc';
+import { LidarrVc } from 'Shared/LidarrVc';
+import { JellyfinVc } from 'Shared/JellyfinVc';
+import { PlexVc } from 'Shared/PlexVc';
+
+/**
+ * @description This script checks the connection to every configured Radarr, Sonarr, Lidarr, Jellyfin and Plex service
+ * (and instance, see `Radarr.Instances`): URL, API version and key through the status endpoint, then whether FileFlows
+ * sees each root folder once mapped (`<Service>.PathMappings`). Logs a table of the results.
+ * @author Vincent Courcelle
+ * @revision 1
+ * @param {string} Services Comma-separated services to check (e.g. "Radarr,Plex"). Default: every configured service.
+ * @param {bool} SkipRootFolders Only check the connection, not the root folders
+ * @output All services OK
+ * @output Degraded (root folders FileFlows can't see)
+ * @output Unreachable (connection, API version or API key error, or nothing configured)
+ */
+function Script(Services, SkipRootFolders) {
+    const classes = {
+        Radarr: RadarrVc,
+        Sonarr: SonarrVc,
+        Lidarr: LidarrVc,
+        Jellyfin: JellyfinVc,
+        Plex: PlexVc
+    };
+    const wanted = Services
+        ? String(Services)
+              .split(',')
+              .map((x) => x.trim().toLowerCase())
+              .filter((x) => !!x)
+        : null;
+
+    const results = [];
+    for (const serviceName in classes) {
+        if (wanted && wanted.indexOf(serviceName.toLowerCase()) === -1) continue;
+        if (!wanted && !isConfigured(serviceName)) continue;
+
+        const instances = classes[serviceName].loadInstances(serviceName);
+        if (!instances.length && !hasConnection(serviceName)) {
+            results.push({
+                service: serviceName,
+                instance: '',
+                url: Variables[serviceName + '.Url'] || Variables[serviceName + '.URI'] || '',
+                status: 'unreachable',
+                version: '',
+                issues: ['Not configured (' + serviceName + '.Url, ' + serviceName + '.ApiKey)']
+            });
+            continue;
+        }
+
+        const clients = instances.length
+            ? instances.map((x) => classes[serviceName].createInstanceClient(x))
+            : [new classes[serviceName]()];
+        for (let i = 0; i < clients.length; i++) results.push(checkService(clients[i], SkipRootFolders));
+    }
+
+    if (!results.length) {
+        Logger.WLog('No service configured (Radarr.Url, Sonarr.Url, Lidarr.Url, Jellyfin.Url, Plex.Url, ...)');
+        Variables['Connectivity.Status'] = 'unreachable';
+        return 3;
+    }
+
+    logTable(results);
+
+    const status = results.some((r) => r.status === 'unreachable')
+        ? 'unreachable'
+        : results.some((r) => r.status === 'degraded')
+          ? 'degraded'
+          : 'ok';
+    Variables['Connectivity.Status'] = status;
+    if (status === 'ok') return 1;
+    return status === 'degraded' ? 2 : 3;
+}
+
+/**
+ * @description Checks one client: status endpoint, then root folders
+ * @returns {Object} { service, instance, url, status, version, issues }
+ */
+function checkService(client, skipRootFolders) {
+    const result = {
+        service: client.ServiceName,
+        instance: client.InstanceName || '',
+        url: client.BaseUrl,
+        status: 'ok',
+        version: '',
+        issues: []
+    };
+
+    try {
+        const check = client.checkStatus();
+        if (!check.ok) {
+            result.status = 'unreachable';
+            result.issues.push(check.error);
+            return result;
+        }
+        result.version = check.version;
+        if (skipRootFolders) return result;
+
+        const folders = client.getRootFolders();
+        if (!folders.length) result.issues.push('No root folders found');
+        const missing = client.findMissingRootFolders();
+        for (let i = 0; i < missing.length; i++) {
+            const m = missing[i];
+            const mapped = m.localPath !== m.folder ? ' (mapped to ' + m.localPath + ')' : '';
+            result.issues.push('Root folder not visible: ' + m.folder + mapped);
+        }
+        if (missing.length) result.status = 'degraded';
+    } catch (error) {
+        result.status = 'unreachable';
+        result.issues.push('Error: ' + error.message);
+    }
+    return result;
+}
+
+/**
+ * @description Logs one row per service, followed by its issues
+ */
+function logTable(results) {
+    // String.prototype.padEnd is ES2017, which some Jint versions lack
+    const padRight = (s, len) => {
+        s = String(s);
+        while (s.length < len) s += ' ';
+        return s;
+    };
+    const widths = { service: 8, instance: 9, url: 4, status: 12, version: 8 };
+    for (const r of results) {
+        widths.service = Math.max(widths.service, r.service.length + 1);
+        widths.instance = Math.max(widths.instance, r.instance.length + 1);
+        widths.url = Math.max(widths.url, r.url.length + 1);
+        widths.version = Math.max(widths.version, r.version.length + 1);
+    }
+    const row = (service, instance, url, status, version) =>
+        ' ' +
+        padRight(service, widths.service) +
+        '| ' +
+        padRight(instance, widths.instance) +
+        '| ' +
+        padRight(url, widths.url) +
+        '| ' +
+        padRight(status, widths.status) +
+        '| ' +
+        version;
+
+    Logger.ILog('');
+    Logger.ILog(row('Service', 'Instance', 'URL', 'Status', 'Version'));
+    Logger.ILog(row('', '', '', '', '').replace(/ /g, '-') + '--------');
+    for (const r of results) {
+        Logger.ILog(row(r.service, r.instance, r.url, r.status.toUpperCase(), r.version));
+        for (let i = 0; i < r.issues.length; i++) {
+            if (r.status === 'ok') Logger.ILog('   - ' + r.issues[i]);
+            else Logger.WLog('   - ' + r.issues[i]);
+        }
+    }
+    Logger.ILog('');
+}
+
+/**
+ * @description Whether a URL or an instance list is set for the service
+ * @returns {boolean}
+ */
+function isConfigured(serviceName) {
+    return !!(
+        Variables[serviceName + '.Url'] ||
+        Variables[serviceName + '.URI'] ||
+        Variables[serviceName + '.Instances']
+    );
+}
+
+/**
+ * @description Whether both the URL and the API key of the single (non-instance) connection are set; the clients
+ * stop the flow with MissingVariable otherwise
+ * @returns {boolean}
+ */
+function hasConnection(serviceName) {
+    return !!(
+        (Variables[serviceName + '.Url'] || Variables[serviceName + '.URI']) &&
+        Variables[serviceName + '.ApiKey']
+    );
+}
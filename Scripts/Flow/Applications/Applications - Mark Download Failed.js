@@ -0,0 +1,158 @@
+import { RadarrVc } from 'Shared/RadarrVc';
+import { SonarrVc } from 'Shared/SonarrVc';
+
+/**
+ * @description This script marks the download of the processed file as failed in Radarr or Sonarr (truncated or
+ * corrupt source): the release gets blocklisted and a new search starts. When a lookup ran (`movie.RadarrId` /
+ * `movie.SonarrId`), only that item's downloads on the instance it matched are considered; otherwise every configured
+ * Radarr/Sonarr is searched. The download path must be the file (or its folder) exactly, and nothing is marked when
+ * more than one download matches.
+ * @author Vincent Courcelle
+ * @revision 3
+ * @param {string} Reason Why the file is irrecoverable (logged, e.g. "decode probe failed")
+ * @param {bool} DryRun Only log what would be marked as failed
+ * @param {bool} UseFolderName Match the download by the file's folder (multi-file releases) instead of the file itself
+ * @output Download marked as failed (or would be, in dry run)
+ * @output Download not found, ambiguous or error
+ */
+function Script(Reason, DryRun, UseFolderName) {
+    const reason = Reason || 'unspecified';
+    const filePath = Variables.file.Orig.FullName;
+    const folderPath = Variables.folder.Orig.FullName;
+
+    Logger.ILog('Marking download as failed: ' + (UseFolderName ? folderPath : filePath));
+    Logger.ILog('Reason: ' + reason);
+
+    const services = getServices();
+    if (!services.length) {
+        Logger.WLog('No Radarr/Sonarr connection configured (Radarr.Url, Sonarr.Url, Radarr.Instances, ...)');
+        return 2;
+    }
+
+    try {
+        const matches = [];
+        for (let i = 0; i < services.length; i++) {
+            const records = findDownloadRecords(services[i], filePath, folderPath, UseFolderName);
+            for (let j = 0; j < records.length; j++) {
+                const known = matches.some(
+                    (x) => x.service === services[i] && x.record.downloadId === records[j].downloadId
+                );
+                if (!known) matches.push({ service: services[i], record: records[j] });
+            }
+        }
+
+        if (!matches.length) {
+            Logger.WLog('Download not found for: ' + (UseFolderName ? folderPath : filePath));
+            return 2;
+        }
+        if (matches.length > 1) {
+            // Blocklisting cannot be undone from here: never guess between downloads
+            Logger.WLog(
+                'Several downloads match, not marking any as failed: ' +
+                    matches.map((x) => x.service.client.ServiceName + ' ' + x.record.downloadId).join(', ')
+            );
+            return 2;
+        }
+
+        const client = matches[0].service.client;
+        const grab = client.findGrabEvent(matches[0].record.downloadId);
+        if (!grab) {
+            Logger.WLog(
+                'No grab event found in ' + client.ServiceName + ' for download ' + matches[0].record.downloadId
+            );
+            return 2;
+        }
+
+        Logger.ILog('Grab event ' + grab.id + ' (' + grab.sourceTitle + ') found in ' + client.ServiceName);
+        if (DryRun) {
+            Logger.ILog('Dry run: not marking ' + grab.sourceTitle + ' as failed');
+            return 1;
+        }
+        if (!client.markHistoryAsFailed(grab.id)) return 2;
+        Logger.WLog(client.ServiceName + ' download marked as failed (' + reason + '): ' + grab.sourceTitle);
+        return 1;
+    } catch (error) {
+        Logger.WLog('Error: ' + error.message);
+        return 2;
+    }
+}
+
+/**
+ * @description Lists the services to search as { client, idKey, id }. When the lookup resolved the item, only the
+ * instance it matched (`Radarr.Instance` / `Sonarr.Instance`) is searched, for that movie/series; otherwise every
+ * instance of both services (see `Radarr.Instances`)
+ * @returns {Array}
+ */
+function getServices() {
+    const radarrId = Variables['movie.RadarrId'];
+    const sonarrId = Variables['movie.SonarrId'];
+    if (radarrId) return [{ client: RadarrVc.createClient('Radarr'), idKey: 'movieId', id: radarrId }];
+    if (sonarrId) return [{ client: SonarrVc.createClient('Sonarr'), idKey: 'seriesId', id: sonarrId }];
+
+    const path = Variables.file.Orig.FullName;
+    const radarr = isConfigured('Radarr') ? RadarrVc.createClients('Radarr', path) : [];
+    const sonarr = isConfigured('Sonarr') ? SonarrVc.createClients('Sonarr', path) : [];
+    return radarr
+        .map((c) => ({ client: c, idKey: 'movieId', id: null }))
+        .concat(sonarr.map((c) => ({ client: c, idKey: 'seriesId', id: null })));
+}
+
+/**
+ * @description Queue records whose `outputPath` is the file or its folder, and import history records whose
+ * `droppedPath` is the file (any file of the folder with UseFolderName), limited to the service's movie/series when known
+ * @returns {Array} Records with a downloadId
+ */
+function findDownloadRecords(service, filePath, folderPath, useFolderName) {
+    const client = service.client;
+    const isItem = (r) => !!r.downloadId && (!service.id || String(r[service.idKey]) === String(service.id));
+    const records = [];
+
+    client.fetchPaged('queue', {}, (items) => {
+        for (let i = 0; i < items.length; i++) {
+            const r = items[i];
+            const pathMatch =
+                client.pathEquals(r.outputPath, folderPath) ||
+                (!useFolderName && client.pathEquals(r.outputPath, filePath));
+            if (pathMatch && isItem(r)) records.push(r);
+        }
+        return null;
+    });
+
+    const isDropped = (r) => {
+        const dropped = r.data && r.data.droppedPath;
+        if (!dropped) return false;
+        if (!useFolderName) return client.pathEquals(dropped, filePath);
+        return client.pathEquals(String(dropped).replace(/[\\/][^\\/]*$/, ''), folderPath);
+    };
+    const visit = (items) => {
+        for (let i = 0; i < items.length; i++) {
+            if (isDropped(items[i]) && isItem(items[i])) records.push(items[i]);
+        }
+        return null;
+    };
+    if (service.id) {
+        // The item's own history (not paged) instead of the whole library's
+        const endpoint = service.idKey === 'movieId' ? 'history/movie' : 'history/series';
+        const params = {};
+        params[service.idKey] = service.id;
+        params.eventType = 3;
+        visit(client.fetchJson(endpoint, client.buildQueryParams(params)) || []);
+    } else {
+        client.fetchPaged('history', { eventType: 3 }, visit);
+    }
+
+    Logger.ILog(client.ServiceName + ': ' + records.length + ' matching queue/history record(s)');
+    return records;
+}
+
+/**
+ * @description Whether a connection or an instance list is set for the service
+ * @returns {boolean}
+ */
+function isConfigured(serviceName) {
+    return !!(
+        Variables[serviceName + '.Url'] ||
+        Variables[serviceName + '.URI'] ||
+        Variables[serviceName + '.Instances']
+    );
+}
@@ -0,0 +1,85 @@
+import { BazarrVc } from 'Shared/BazarrVc';
+import { ScriptHelpers } from 'Shared/ScriptHelpers';
+
+/**
+ * @description This script asks Bazarr to re-sync (or re-download) the external subtitles of the processed movie/episode,
+ * e.g. after `mpdecimate` or a new constant frame rate changed the timing. Run Radarr/Sonarr - Refresh first.
+ * @author Vincent Courcelle
+ * @revision 2
+ * @param {string} URI Bazarr root URI and port (e.g. http://bazarr:6767). If blank/unset, uses variable key(s): `Bazarr.Url`, `Bazarr.URI`.
+ * @param {string} ApiKey API Key. If blank/unset, uses variable key: `Bazarr.ApiKey`.
+ * @param {bool} Redownload Download the subtitles again instead of syncing the existing ones
+ * @output Subtitles processed (or no external subtitles)
+ * @output Error, episode not identified (no `tv.EpisodeIds`) or movie/episode not found in Bazarr
+ */
+function Script(URI, ApiKey, Redownload) {
+    const bazarr = new BazarrVc(URI, ApiKey);
+    const helpers = new ScriptHelpers();
+    const radarrId = Variables['movie.RadarrId'];
+    const sonarrId = Variables['movie.SonarrId'];
+
+    if (!radarrId && !sonarrId) {
+        Logger.WLog('This script requires the Radarr - Movie Lookup or Sonarr - TV Show Lookup script to be run first');
+        return 2;
+    }
+
+    // Without episode ids, the only query left is the whole series: never sync every episode for one file
+    const episodeIds = helpers.toEnumerableArray(Variables['tv.EpisodeIds'], 50);
+    if (!radarrId && !episodeIds.length) {
+        Logger.WLog(
+            'No episode ids (tv.EpisodeIds) for Sonarr series ' +
+                sonarrId +
+                ': Sonarr - TV Show Lookup could not match the episode, skipping'
+        );
+        return 2;
+    }
+
+    try {
+        const type = radarrId ? 'movie' : 'episode';
+        bazarr.scanDisk(type, radarrId || sonarrId);
+
+        let items;
+        if (radarrId) {
+            const movie = bazarr.getMovie(radarrId);
+            items = movie ? [movie] : [];
+        } else {
+            items = bazarr.getEpisodes(episodeIds);
+        }
+        if (!items.length) {
+            Logger.WLog(
+                'Not found in Bazarr: ' +
+                    (radarrId ? 'Radarr movie ' + radarrId : 'Sonarr episodes ' + episodeIds.join(', '))
+            );
+            return 2;
+        }
+
+        return processSubtitles(bazarr, type, items, Redownload) ? 1 : 2;
+    } catch (error) {
+        Logger.WLog('Error: ' + error.message);
+    }
+
+    return 2;
+}
+
+/**
+ * @description Syncs or re-downloads every external subtitle of the items; embedded ones were remuxed with the video
+ * @returns {boolean} false when a Bazarr call failed
+ */
+function processSubtitles(bazarr, type, items, redownload) {
+    let ok = true;
+    let count = 0;
+    for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        const subtitles = (item.subtitles || []).filter((s) => s && s.path && s.code2);
+        for (let j = 0; j < subtitles.length; j++) {
+            const id = type === 'movie' ? item.radarrId : item.sonarrEpisodeId;
+            const done = redownload
+                ? bazarr.downloadSubtitle(type, item, subtitles[j])
+                : bazarr.syncSubtitle(type, id, subtitles[j]);
+            ok = ok && done;
+            count++;
+        }
+    }
+    Logger.ILog((redownload ? 'Re-downloaded' : 'Synced') + ' ' + count + ' external subtitle(s)');
+    return ok;
+}
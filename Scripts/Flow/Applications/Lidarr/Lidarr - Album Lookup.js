@@ -0,0 +1,51 @@
+import { LidarrVc } from 'Shared/LidarrVc';
+
+/**
+ * @description This script looks up an Album (music videos, concerts) from Lidarr and retrieves its metadata
+ * @author Vincent Courcelle
+ * @revision 1
+ * @param {string} URL Lidarr root URL and port (e.g., http://lidarr:8686). If blank/unset, uses variable key(s): `Lidarr.Url`, `Lidarr.URI`.
+ * @param {string} ApiKey API Key for Lidarr. If blank/unset, uses variable key: `Lidarr.ApiKey`.
+ * @param {bool} UseFolderName Whether to use the folder name instead of the file name for the queue/history search
+ * @output Album found
+ * @output Album NOT found or error
+ */
+function Script(URL, ApiKey, UseFolderName) {
+    URL = URL || Variables['Lidarr.Url'] || Variables['Lidarr.URI'];
+    ApiKey = ApiKey || Variables['Lidarr.ApiKey'];
+
+    Variables['Lidarr.Url'] = URL;
+    Variables['Lidarr.URI'] = URL;
+    Variables['Lidarr.ApiKey'] = ApiKey;
+
+    const lidarr = new LidarrVc(URL, ApiKey);
+    const folderPath = Variables.folder.Orig.FullName;
+    const filePath = Variables.file.Orig.FullName;
+    const searchPattern = UseFolderName ? getAlbumFolderName(folderPath) : Variables.file.Orig.FileNameNoExtension;
+
+    Logger.ILog('Lidarr URL: ' + URL);
+    Logger.ILog('Lookup name: ' + searchPattern);
+
+    // Search for the album in Lidarr by artist folder/track files, queue, or download history
+    const album =
+        lidarr.getAlbumByFilePath(filePath) ||
+        lidarr.searchInQueue(searchPattern) ||
+        lidarr.searchInDownloadHistory(searchPattern);
+
+    if (!album) {
+        Logger.ILog('No result found for: ' + searchPattern);
+        return 2; // Album not found
+    }
+
+    lidarr.updateMetadata(album);
+    return 1; // Album found
+}
+
+/**
+ * @description Extracts the folder name from the provided folder path
+ * @param {string} folderPath - The full path of the folder
+ * @returns {string} The folder name
+ */
+function getAlbumFolderName(folderPath) {
+    return System.IO.Path.GetFileName(folderPath);
+}
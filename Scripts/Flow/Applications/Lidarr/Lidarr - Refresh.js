@@ -0,0 +1,41 @@
+import { LidarrVc } from 'Shared/LidarrVc';
+
+/**
+ * @description This script will send a refresh command to Lidarr for the artist found by "Lidarr - Album Lookup"
+ * @author Vincent Courcelle
+ * @revision 1
+ * @param {string} URI Lidarr root URI and port (e.g. http://lidarr:8686)
+ * @param {string} ApiKey API Key
+ * @output Artist refreshed successfully
+ * @output Error or artist not found
+ */
+function Script(URI, ApiKey) {
+    const lidarr = new LidarrVc(URI, ApiKey);
+
+    const artistId = Variables['music.LidarrArtistId'];
+    if (!artistId) {
+        Logger.WLog('This script requires the Lidarr - Album Lookup script to be run first');
+        return 2;
+    }
+
+    Logger.ILog('Refreshing artist ' + artistId);
+
+    try {
+        const refreshData = lidarr.refreshArtist(artistId);
+        if (!refreshData || !refreshData.id) {
+            Logger.WLog('Refresh command was not accepted');
+            return 2;
+        }
+        if (!lidarr.waitForCompletion(refreshData.id, 60000)) {
+            Logger.WLog('Refresh failed');
+            return 2;
+        }
+
+        Logger.ILog('Artist refreshed: ' + artistId);
+        return 1;
+    } catch (error) {
+        Logger.WLog('Error: ' + error.message);
+    }
+
+    return 2;
+}
@@ -0,0 +1,30 @@
+import { PlexVc } from 'Shared/PlexVc';
+
+/**
+ * @description This script asks Plex to scan only the folder of the processed file
+ * @author Vincent Courcelle
+ * @revision 1
+ * @param {string} URI Plex root URI and port (e.g. http://plex:32400). If blank/unset, uses variable key(s): `Plex.Url`, `Plex.URI`.
+ * @param {string} ApiKey Plex token (X-Plex-Token). If blank/unset, uses variable key: `Plex.ApiKey`.
+ * @output Scan requested
+ * @output Error or no library section contains the file
+ */
+function Script(URI, ApiKey) {
+    const plex = new PlexVc(URI, ApiKey);
+    const folder = System.IO.Path.GetDirectoryName(Variables.file.FullName);
+
+    Logger.ILog('Looking for the Plex section of ' + folder);
+
+    try {
+        const match = plex.getSectionByPath(folder);
+        if (!match) {
+            Logger.WLog('No Plex library section contains: ' + folder);
+            return 2;
+        }
+        return plex.scanPath(match.section.key, folder) ? 1 : 2;
+    } catch (error) {
+        Logger.WLog('Error: ' + error.message);
+    }
+
+    return 2;
+}
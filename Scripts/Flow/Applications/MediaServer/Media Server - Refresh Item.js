@@ -0,0 +1,41 @@
+import { JellyfinVc } from 'Shared/JellyfinVc';
+
+/**
+ * @description This script will refresh the processed file's item in Jellyfin/Emby, or ask the server to rescan its folder
+ * @author Vincent Courcelle
+ * @revision 1
+ * @param {string} URI Jellyfin/Emby root URI and port (e.g. http://jellyfin:8096). If blank/unset, uses variable key(s): `Jellyfin.Url`, `Jellyfin.URI`.
+ * @param {string} ApiKey API Key. If blank/unset, uses variable key: `Jellyfin.ApiKey`.
+ * @param {bool} ItemRefreshOnly Do not fall back to a folder scan when the item is not found (e.g. the file was renamed)
+ * @output Item refreshed or folder scan requested
+ * @output Error or item not found
+ */
+function Script(URI, ApiKey, ItemRefreshOnly) {
+    const jellyfin = new JellyfinVc(URI, ApiKey);
+    const filePath = Variables.file.FullName;
+    const metadata = Variables.VideoMetadata;
+    const searchTerm = (metadata && metadata.Title) || Variables.file.Orig.FileNameNoExtension;
+
+    Logger.ILog('Refreshing ' + filePath);
+
+    try {
+        const item = jellyfin.getItemByPath(filePath, searchTerm);
+        if (item) {
+            return jellyfin.refreshItem(item.Id) ? 1 : 2;
+        }
+
+        if (ItemRefreshOnly) {
+            Logger.WLog('Item not found for path: ' + filePath);
+            return 2;
+        }
+
+        // A replaced file often has a new name: let the server rescan the folder to pick it up
+        Logger.ILog('Item not found, requesting a folder scan instead');
+        const folder = System.IO.Path.GetDirectoryName(filePath);
+        return jellyfin.notifyPathUpdated(folder) ? 1 : 2;
+    } catch (error) {
+        Logger.WLog('Error: ' + error.message);
+    }
+
+    return 2;
+}
@@ -3,8 +3,8 @@ import { RadarrVc } from 'Shared/RadarrVc';
 /**
  * @description This script looks up a Movie from Radarr and retrieves its metadata
  * @author Vincent Courcelle
- * @revision 2
- * @param {string} URL Radarr root URL and port (e.g., http://radarr:1234). If blank/unset, uses variable key(s): `Radarr.Url`, `Radarr.URI`.
+ * @revision 7
+ * @param {string} URL Radarr root URL and port (e.g., http://radarr:1234). If blank/unset, uses variable key(s): `Radarr.Url`, `Radarr.URI`. Ignored when `Radarr.Instances` is set.
  * @param {string} ApiKey API Key for Radarr. If blank/unset, uses variable key: `Radarr.ApiKey`.
  * @param {bool} UseFolderName Whether to use the folder name instead of the file name for search
  * @output Movie found
@@ -18,27 +18,64 @@ function Script(URL, ApiKey, UseFolderName) {
     Variables['Radarr.URI'] = URL;
     Variables['Radarr.ApiKey'] = ApiKey;
 
-    const radarr = new RadarrVc(URL, ApiKey);
     const folderPath = Variables.folder.Orig.FullName;
     const searchPattern = UseFolderName ? getMovieFolderName(folderPath) : Variables.file.Orig.FileNameNoExtension;
 
-    Logger.ILog('Radarr URL: ' + URL);
     Logger.ILog('Lookup name: ' + searchPattern);
 
-    // Search for the movie in Radarr by path, queue, or download history
-    // Logic moved to Shared/RadarrVc.js to enforce DRY
-    const movie =
-        radarr.searchMovieByPath(searchPattern) ||
-        radarr.searchInQueue(searchPattern) ||
-        radarr.searchInDownloadHistory(searchPattern);
+    // With `Radarr.Instances`, every instance is queried, those whose root folders contain the file first.
+    // Exact matches on any instance win over a fuzzy title match on an earlier one.
+    const clients = RadarrVc.createClients('Radarr', Variables.file.Orig.FullName, URL, ApiKey);
+    const steps = [(radarr) => findMovie(radarr, searchPattern), (radarr) => radarr.searchMovieByTitle(searchPattern)];
+    for (let s = 0; s < steps.length; s++) {
+        for (let i = 0; i < clients.length; i++) {
+            const radarr = clients[i];
+            Logger.ILog('Radarr URL: ' + radarr.BaseUrl);
 
-    if (!movie) {
-        Logger.ILog('No result found for: ' + searchPattern);
-        return 2; // Movie not found
+            const movie = steps[s](radarr);
+            if (movie) {
+                radarr.rememberInstance();
+                radarr.updateMetadata(movie);
+                return 1; // Movie found
+            }
+        }
     }
 
-    radarr.updateMetadata(movie);
-    return 1; // Movie found
+    // Not in any library: metadata from the ID tokens. No instance has the movie, so the next nodes get neither a
+    // Radarr id nor a connection to refresh it through
+    for (let i = 0; i < clients.length; i++) {
+        const lookup = clients[i].lookupMovieByIds(Variables.file.Orig.FullName);
+        if (lookup) {
+            Variables['Radarr.Instance'] = null;
+            Variables['Radarr.Url'] = null;
+            Variables['Radarr.URI'] = null;
+            Variables['Radarr.ApiKey'] = null;
+            clients[i].updateMetadata(lookup);
+            return 1;
+        }
+    }
+
+    Logger.ILog('No result found for: ' + searchPattern);
+    return 2; // Movie not found
+}
+
+/**
+ * @description Searches one Radarr instance for an exact match of the movie (fuzzy title matching runs separately,
+ * once no instance has an exact match)
+ * @param {RadarrVc} radarr - Radarr client
+ * @param {string} searchPattern - File or folder name
+ * @returns {Object|null} The movie
+ */
+function findMovie(radarr, searchPattern) {
+    // Search for the movie in the Radarr library by ID tokens ({imdb-tt...}, {tmdb-...}), path, queue, then download
+    // history
+    // Logic moved to Shared/RadarrVc.js to enforce DRY
+    return (
+        radarr.searchMovieByIds(Variables.file.Orig.FullName) ||
+        radarr.searchMovieByPath(searchPattern) ||
+        radarr.searchInQueue(searchPattern) ||
+        radarr.searchInDownloadHistory(searchPattern)
+    );
 }
 
 /**
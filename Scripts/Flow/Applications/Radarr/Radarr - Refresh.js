@@ -1,23 +1,22 @@
 import { RadarrVc } from 'Shared/RadarrVc';
 
 /**
- * @description This script will send a refresh command to Radarr
+ * @description This script will send a refresh command to Radarr, manually import the processed file when Radarr
+ * doesn't pick it up (new extension or name), and optionally rename it to Radarr's naming scheme
  * @author Vincent Courcelle
- * @revision 1
+ * @revision 6
  * @param {string} URI Radarr root URI and port (e.g. http://radarr:7878)
  * @param {string} ApiKey API Key
+ * @param {bool} RenameFiles Send a RenameFiles command when Radarr's naming scheme gives a different name (e.g. codec/resolution tokens); the working file then points to the renamed file
+ * @param {string} Tags Comma-separated Radarr tags to add to the movie; `{Variable}` placeholders are expanded (e.g. `fileflows-av1, fileflows-crf-{AutoQuality_CRF}`)
  * @output Movie refreshed successfully
  * @output Error or movie not found
  */
-function Script(URI, ApiKey) {
-    // Remove trailing / from URI
-    URI = URI.replace(/\/$/, '');
-    const radarr = new RadarrVc(URI, ApiKey);
-    // let folderPath = Variables.folder.FullName;
-    // let currentFileName = Variables.file.Name;
-    // let newFilePath = null;
-
-    // Find movie name from radarr
+function Script(URI, ApiKey, RenameFiles, Tags) {
+    const ogFileName = Variables.file.Orig.FileName;
+    const currentFileName = Variables.file.Name;
+
+    // Find movie name from radarr (unset when the lookup only found the movie through Radarr's lookup endpoint)
     const movieId = Variables['movie.RadarrId'];
     if (!movieId) {
         Logger.WLog('This script requires the Radarr - Movie search script to be run first');
@@ -33,6 +32,8 @@ function Script(URI, ApiKey) {
         // movieId = movie.id;
     }
 
+    // Talk to the instance the lookup matched when `Radarr.Instances` lists several
+    const radarr = RadarrVc.createClient('Radarr', URI, ApiKey);
     Logger.ILog('Refreshing movie ' + movieId);
 
     // Get Movie File info
@@ -43,12 +44,32 @@ function Script(URI, ApiKey) {
     }
 
     try {
-        const refreshBody = {
-            movieIds: [movieId],
-            isNewMovie: false
-        };
-        const refreshData = radarr.sendCommand('RefreshMovie', refreshBody);
-        Logger.ILog('Movie refreshed: ' + JSON.stringify(refreshData));
+        if (!refreshAndWait(radarr, movieId)) return 2;
+
+        // Radarr doesn't always pick up a file whose extension/name changed: import it manually
+        if (currentFileName && currentFileName !== ogFileName) {
+            const movie = Variables.MovieInfo || radarr.getMovie(movieId);
+            const manualImport = radarr.fetchManualImportFile(currentFileName, movieId, movie && movie.path);
+            if (manualImport) {
+                Logger.ILog('Updated file not auto-detected by Radarr. Manually importing ' + manualImport.path);
+                const importCommand = radarr.manuallyImportFile(manualImport, movieId);
+                if (!importCommand || !radarr.waitForCompletion(importCommand.id, 30000)) {
+                    Logger.WLog('import not completed');
+                    return 2;
+                }
+
+                // Refresh for newly imported file
+                if (!refreshAndWait(radarr, movieId)) return 2;
+            } else {
+                Logger.ILog('Manual import not needed');
+            }
+        }
+
+        if (RenameFiles && !renameProcessedFile(radarr, movieId)) return 2;
+
+        if (Tags && !radarr.tagMovie(movieId, radarr.expandTagTemplate(Tags))) {
+            Logger.WLog('Movie could not be tagged');
+        }
 
         return 1;
     } catch (error) {
@@ -58,6 +79,56 @@ function Script(URI, ApiKey) {
     return 2;
 }
 
+/**
+ * @description Renames the movie files to Radarr's naming scheme and points the working file to the processed one
+ * @param {RadarrVc} radarr - Radarr client
+ * @param {number} movieId - Radarr movie ID
+ * @returns {boolean} false when the rename failed
+ */
+function renameProcessedFile(radarr, movieId) {
+    const rename = radarr.renameMovieFiles(movieId);
+    if (!rename) return true;
+    if (!rename.command || !radarr.waitForCompletion(rename.command.id, 30000)) {
+        Logger.WLog('Rename not completed');
+        return false;
+    }
+
+    const renamed =
+        rename.renames.find((r) => radarr.pathEndsWith(r.existingPath, Variables.file.Name)) ||
+        (rename.renames.length === 1 ? rename.renames[0] : null);
+    if (!renamed) {
+        Logger.WLog('Processed file not among the renamed files, the working file is unchanged');
+        return true;
+    }
+
+    const movie = Variables.MovieInfo && Variables.MovieInfo.path ? Variables.MovieInfo : radarr.getMovie(movieId);
+    const newPath = radarr.toLocalPath(radarr.joinServicePath(movie && movie.path, renamed.newPath));
+    Logger.ILog('Movie file renamed to ' + newPath);
+    Variables['Radarr.RenamedPath'] = newPath;
+    if (System.IO.File.Exists(newPath)) {
+        Flow.SetWorkingFile(newPath);
+    } else {
+        Logger.WLog('Renamed file not visible from FileFlows (check Radarr.PathMappings): ' + newPath);
+    }
+    return true;
+}
+
+/**
+ * @description Sends RefreshMovie and waits for Radarr to finish it
+ * @param {RadarrVc} radarr - Radarr client
+ * @param {number} movieId - Radarr movie ID
+ * @returns {boolean} Whether the refresh completed
+ */
+function refreshAndWait(radarr, movieId) {
+    const refreshData = radarr.refreshMovie(movieId);
+    Logger.ILog('Movie refresh sent: ' + JSON.stringify(refreshData));
+    if (!refreshData || !radarr.waitForCompletion(refreshData.id, 30000)) {
+        Logger.WLog('Refresh failed');
+        return false;
+    }
+    return true;
+}
+
 // // Repeatedly try finding a movie by shortening the path
 // function findMovie(filePath, radarr) {
 //     let currentPath = filePath;
@@ -1,18 +1,19 @@
 import { SonarrVc } from 'Shared/SonarrVc';
 
 /**
- * @description This script will refresh the show through Sonarr
+ * @description This script will refresh the show through Sonarr, and optionally rename the processed episode file
  * @author Vincent Courcelle
- * @revision 2
+ * @revision 5
  * @param {string} URI Sonarr root URI and port (e.g. http://sonarr:8989)
  * @param {string} ApiKey API Key
+ * @param {bool} RenameFiles Rename the episode file(s) processed by this flow when Sonarr's naming scheme gives a different name (e.g. `{MediaInfo VideoCodec}`); the working file is updated to the new path
+ * @param {string} Tags Comma-separated Sonarr tags to add to the series; `{Variable}` placeholders are expanded (e.g. `fileflows-av1, fileflows-crf-{AutoQuality_CRF}`)
  * @output Series refreshed successfully
  * @output Error or serie not found
  */
-function Script(URI, ApiKey) {
-    // Remove trailing / from URI
-    URI = URI.replace(/\/$/, '');
-    const sonarr = new SonarrVc(URI, ApiKey);
+function Script(URI, ApiKey, RenameFiles, Tags) {
+    // Talk to the instance the lookup matched when `Sonarr.Instances` lists several
+    const sonarr = SonarrVc.createClient('Sonarr', URI, ApiKey);
     // const folderPath = Variables.folder.Orig.FullName;
     const ogFileName = Variables.file.Orig.FileName;
     const ogFullName = Variables.file.Orig.FullName;
@@ -71,5 +72,47 @@ function Script(URI, ApiKey) {
         }
     }
 
+    if (RenameFiles && !renameProcessedFile(sonarr, series, seriesId)) {
+        return 2;
+    }
+
+    if (Tags && !sonarr.tagSeries(seriesId, sonarr.expandTagTemplate(Tags))) {
+        Logger.WLog('Series could not be tagged');
+    }
+
     return 1;
 }
+
+/**
+ * @description Renames the episode file of the processed file to Sonarr's naming scheme and points the working file to it
+ * @param {SonarrVc} sonarr - Sonarr client
+ * @param {Object} series - Sonarr series (Variables.TVShowInfo)
+ * @param {number} seriesId - Sonarr series ID
+ * @returns {boolean} false when the rename failed
+ */
+function renameProcessedFile(sonarr, series, seriesId) {
+    const episodeFile =
+        sonarr.fetchEpisodeFile(Variables.file.FullName, series) ||
+        sonarr.fetchEpisodeFile(Variables.file.Name, series);
+    if (!episodeFile) {
+        Logger.WLog('Processed file not found in Sonarr, skipping rename');
+        return true;
+    }
+
+    const rename = sonarr.renameEpisodeFiles(seriesId, [episodeFile.id]);
+    if (!rename) return true;
+    if (!rename.command || !sonarr.waitForCompletion(rename.command.id, 30000)) {
+        Logger.WLog('Rename not completed');
+        return false;
+    }
+
+    const newPath = sonarr.toLocalPath(sonarr.joinServicePath(series.path, rename.renames[0].newPath));
+    Logger.ILog('Episode file renamed to ' + newPath);
+    Variables['Sonarr.RenamedPath'] = newPath;
+    if (System.IO.File.Exists(newPath)) {
+        Flow.SetWorkingFile(newPath);
+    } else {
+        Logger.WLog('Renamed file not visible from FileFlows (check Sonarr.PathMappings): ' + newPath);
+    }
+    return true;
+}
@@ -1,10 +1,11 @@
 import { SonarrVc } from 'Shared/SonarrVc';
 
 /**
- * @description This script looks up a TV Show from Sonarr and retrieves its metadata
+ * @description This script looks up a TV Show and the episode(s) of the file from Sonarr and retrieves their metadata.
+ * Falls back to Sonarr's release-name parser, then fuzzy title/year matching, for files Sonarr doesn't know yet.
  * @author Vincent Courcelle
- * @revision 2
- * @param {string} URL Sonarr root URL and port (e.g., http://sonarr:1234). If blank/unset, uses variable key(s): `Sonarr.Url`, `Sonarr.URI`.
+ * @revision 8
+ * @param {string} URL Sonarr root URL and port (e.g., http://sonarr:1234). If blank/unset, uses variable key(s): `Sonarr.Url`, `Sonarr.URI`. Ignored when `Sonarr.Instances` is set.
  * @param {string} ApiKey API Key for Sonarr. If blank/unset, uses variable key: `Sonarr.ApiKey`.
  * @param {bool} UseFolderName Whether to use the folder name instead of the file name for the search pattern.<br>If the folder starts with "Season", "Staffel", "Saison", or "Specials", the parent folder will be used.
  * @param {string} IgnoredFoldersRegex Ignore folders that match the regex pattern, takes the parent folder if matched; defaults to `^(Season|Staffel|Saison|Specials|S[0-9]+)` ; case insensitive
@@ -19,29 +20,87 @@ function Script(URL, ApiKey, UseFolderName, IgnoredFoldersRegex) {
     Variables['Sonarr.URI'] = URL;
     Variables['Sonarr.ApiKey'] = ApiKey;
 
-    const sonarr = new SonarrVc(URL, ApiKey);
     const folderPath = Variables.folder.Orig.FullName;
     const searchPattern = UseFolderName
         ? getSeriesFolderName(folderPath, IgnoredFoldersRegex)
         : Variables.file.Orig.FileNameNoExtension;
 
-    Logger.ILog('Sonarr URL: ' + URL);
     Logger.ILog('Lookup TV Show: ' + searchPattern);
 
+    // With `Sonarr.Instances`, every instance is queried, those whose root folders contain the file first.
+    // Exact matches on any instance win over the release parser, which wins over fuzzy title matching.
+    const clients = SonarrVc.createClients('Sonarr', Variables.file.Orig.FullName, URL, ApiKey);
+    const steps = [
+        (sonarr) => findSeries(sonarr, searchPattern),
+        (sonarr) => parseSeries(sonarr),
+        (sonarr) => {
+            const matched = sonarr.searchSeriesByTitle(searchPattern);
+            return matched ? { series: matched, episodes: null, parsedInfo: null } : null;
+        }
+    ];
+    for (let s = 0; s < steps.length; s++) {
+        for (let i = 0; i < clients.length; i++) {
+            const sonarr = clients[i];
+            Logger.ILog('Sonarr URL: ' + sonarr.BaseUrl);
+
+            const match = steps[s](sonarr);
+            if (match) {
+                sonarr.rememberInstance();
+                const found = match.episodes ? match : findEpisodes(sonarr, match.series);
+                sonarr.updateMetadata(match.series, found.episodes, found.parsedInfo);
+                return 1; // TV Show found
+            }
+        }
+    }
+
+    Logger.ILog('No result found for: ' + searchPattern);
+    return 2; // TV Show not found
+}
+
+/**
+ * @description Searches one Sonarr instance for an exact match of the series (path, queue, download history)
+ * @param {SonarrVc} sonarr - Sonarr client
+ * @param {string} searchPattern - File or folder name
+ * @returns {Object|null} { series, episodes, parsedInfo }
+ */
+function findSeries(sonarr, searchPattern) {
     // Search for the series in Sonarr by path, queue, or download history
     // Logic moved to Shared/SonarrVc.js to enforce DRY
     const series =
         sonarr.searchSeriesByPath(searchPattern) ||
         sonarr.searchInQueue(searchPattern) ||
         sonarr.searchInDownloadHistory(searchPattern);
+    return series ? { series: series, episodes: null, parsedInfo: null } : null;
+}
+
+/**
+ * @description Lets one Sonarr instance parse the release name, for files dropped manually into a watch folder
+ * @param {SonarrVc} sonarr - Sonarr client
+ * @returns {Object|null} { series, episodes, parsedInfo }
+ */
+function parseSeries(sonarr) {
+    const parsed = sonarr.parseRelease(Variables.file.Orig.FileName);
+    if (!parsed) return null;
+    return { series: parsed.series, episodes: parsed.episodes || [], parsedInfo: parsed.parsedEpisodeInfo || null };
+}
+
+/**
+ * @description Finds the episode(s) of the original file: from Sonarr's library first, then by parsing the file name
+ * @param {SonarrVc} sonarr - Sonarr client
+ * @param {Object} series - The series found by the lookup
+ * @returns {Object} { episodes, parsedInfo }: episodes empty when unknown, parsedInfo the parsed season/episode numbers
+ */
+function findEpisodes(sonarr, series) {
+    const episodes = sonarr.fetchEpisodesForFile(Variables.file.Orig.FullName, series);
+    if (episodes.length) return { episodes: episodes, parsedInfo: null };
 
-    if (!series) {
-        Logger.ILog('No result found for: ' + searchPattern);
-        return 2; // TV Show not found
+    const parsed = sonarr.parseRelease(Variables.file.Orig.FileName);
+    if (parsed && parsed.series.id === series.id) {
+        return { episodes: parsed.episodes || [], parsedInfo: parsed.parsedEpisodeInfo || null };
     }
 
-    sonarr.updateMetadata(series);
-    return 1; // TV Show found
+    Logger.WLog('Episode could not be identified, only series metadata is available');
+    return { episodes: [], parsedInfo: null };
 }
 
 /**
@@ -0,0 +1,213 @@
+import { NfoHelpers } from 'Shared/NfoHelpers';
+import { LanguageResolver } from 'Shared/LanguageResolver';
+
+/**
+ * @description Reads the Kodi/Jellyfin NFO files next to the original file (movie, tvshow, episodedetails) and fills the
+ * same variables as Radarr - Movie Lookup / Sonarr - TV Show Lookup, for libraries not managed by Radarr/Sonarr
+ * @author Vincent Courcelle
+ * @revision 2
+ * @param {string} NfoFile NFO to read instead of looking for `<file name>.nfo`, `movie.nfo` and `tvshow.nfo` (a `tvshow.nfo` is combined with the episode NFO of the file)
+ * @output Metadata read from NFO
+ * @output No movie/TV NFO found
+ */
+function Script(NfoFile) {
+    const nfo = new NfoHelpers();
+    const filePath = Variables.file.Orig.FullName;
+
+    let entry = NfoFile ? readNfo(nfo, NfoFile) : findEntryNfo(nfo, filePath);
+    let show = null;
+    if (entry && entry.root === 'tvshow') {
+        show = entry;
+        entry = findEntryNfo(nfo, filePath);
+        if (entry && entry.root !== 'episodedetails') entry = null;
+    } else if (!entry || entry.root === 'episodedetails') {
+        show = findShowNfo(nfo, filePath);
+    }
+
+    if (entry && entry.root === 'movie') {
+        updateMovieMetadata(entry.entries[0], filePath);
+        return 1;
+    }
+    if ((entry && entry.root === 'episodedetails') || show) {
+        updateTvMetadata(show ? show.entries[0] : {}, entry ? entry.entries : [], filePath);
+        return 1;
+    }
+
+    if (entry) Logger.WLog('Unsupported ' + entry.root + ' NFO: ' + entry.path);
+    else Logger.ILog('No NFO found for ' + filePath);
+    return 2;
+}
+
+/**
+ * @description Reads and parses an NFO file
+ * @returns {Object|null} Parsed NFO ({ root, entries }) with its `path`
+ */
+function readNfo(nfo, path) {
+    try {
+        if (!System.IO.File.Exists(path)) return null;
+        const parsed = nfo.parseNfo(System.IO.File.ReadAllText(path));
+        if (!parsed) {
+            Logger.WLog('Not a movie/tvshow/episode NFO: ' + path);
+            return null;
+        }
+        parsed.path = path;
+        Logger.ILog('Read ' + parsed.root + ' NFO ' + path);
+        return parsed;
+    } catch (err) {
+        Logger.WLog('Unable to read NFO ' + path + ': ' + err);
+        return null;
+    }
+}
+
+/**
+ * @description Finds the movie/episode NFO of a file: `<file name>.nfo`, then `movie.nfo`
+ */
+function findEntryNfo(nfo, filePath) {
+    const dir = System.IO.Path.GetDirectoryName(filePath);
+    const candidates = [
+        System.IO.Path.Combine(dir, System.IO.Path.GetFileNameWithoutExtension(filePath) + '.nfo'),
+        System.IO.Path.Combine(dir, 'movie.nfo')
+    ];
+    for (let i = 0; i < candidates.length; i++) {
+        const parsed = readNfo(nfo, candidates[i]);
+        if (parsed && parsed.root !== 'tvshow') return parsed;
+    }
+    return null;
+}
+
+/**
+ * @description Finds `tvshow.nfo` in the file's folder or up to two folders up (season folders)
+ */
+function findShowNfo(nfo, filePath) {
+    let dir = System.IO.Path.GetDirectoryName(filePath);
+    for (let i = 0; i < 3 && dir; i++) {
+        const parsed = readNfo(nfo, System.IO.Path.Combine(dir, 'tvshow.nfo'));
+        if (parsed && parsed.root === 'tvshow') return parsed;
+        dir = System.IO.Path.GetDirectoryName(dir);
+    }
+    return null;
+}
+
+/**
+ * @description Resolves the original language like the lookups do (cached answers, NFO tags, heuristics), `en` otherwise.
+ * The `nfo` source answers with the language of the NFO(s) already read.
+ * @returns {string} ISO-639-1 code
+ */
+function resolveLanguage(ids, filePath, genres, nfoLanguage) {
+    const resolver = new LanguageResolver();
+    resolver.register('nfo', () => (nfoLanguage ? String(nfoLanguage).split(/[,/|]/)[0].trim() : null));
+    const resolved = resolver.resolve({
+        ids: { tvdb: ids.tvdb, tmdb: ids.tmdb, imdb: ids.imdb },
+        path: filePath,
+        genres: genres
+    });
+    if (!resolved) Variables['LanguageResolver.Source'] = 'default';
+    return resolved ? LanguageHelper.GetIso1Code(resolved.language) : 'en';
+}
+
+/**
+ * @description Sets the variables of RadarrVc.updateMetadata from a movie NFO
+ */
+function updateMovieMetadata(movie, filePath) {
+    const language = resolveLanguage(movie.ids, filePath, movie.genres, movie.originalLanguage);
+
+    Variables['movie.Title'] = movie.title;
+    Variables['movie.Year'] = movie.year;
+    Variables.VideoMetadata = {
+        Title: movie.title,
+        Description: movie.plot,
+        Year: movie.year,
+        ReleaseDate: movie.premiered,
+        OriginalLanguage: language,
+        Genres: movie.genres
+    };
+    Variables.MovieInfo = {
+        title: movie.title,
+        originalTitle: movie.originalTitle,
+        year: movie.year,
+        overview: movie.plot,
+        runtime: movie.runtime,
+        genres: movie.genres,
+        studio: movie.studio,
+        imdbId: movie.ids.imdb || null,
+        tmdbId: movie.ids.tmdb ? parseInt(movie.ids.tmdb, 10) : null
+    };
+    Variables.OriginalLanguage = language;
+
+    Logger.ILog('Detected VideoMetadata: ' + JSON.stringify(Variables.VideoMetadata));
+    Logger.ILog('Detected Original Language: ' + language);
+}
+
+/**
+ * @description Sets the variables of SonarrVc.updateMetadata from tvshow.nfo and the episode NFO
+ */
+function updateTvMetadata(show, episodes, filePath) {
+    const first = episodes.length ? episodes[0] : null;
+    const title = show.title || (first && first.showTitle) || null;
+    const genres = show.genres && show.genres.length ? show.genres : first ? first.genres : [];
+    // Episode IDs only help the language lookup; the series keeps its own
+    const showIds = show.ids || {};
+    const ids = {};
+    const sources = [showIds, (first && first.ids) || {}];
+    for (let i = 0; i < sources.length; i++) {
+        for (const key in sources[i]) {
+            if (Object.prototype.hasOwnProperty.call(sources[i], key) && !ids[key]) ids[key] = sources[i][key];
+        }
+    }
+    const language = resolveLanguage(ids, filePath, genres, show.originalLanguage || (first && first.originalLanguage));
+    const airDate = first ? first.aired || first.premiered : null;
+    const airYear = airDate ? parseInt(airDate.substring(0, 4), 10) || null : null;
+    const showYear = show.year || (first ? first.year : null);
+
+    Variables['tv.Title'] = title;
+    Variables['tv.Year'] = showYear;
+    Variables['tv.Network'] = show.studio || (first && first.studio) || null;
+    Variables['tv.Season'] = first ? first.season : null;
+    Variables['tv.Episode'] = first ? first.episode : null;
+    Variables['tv.EpisodeTitle'] = episodes
+        .map((e) => e.title)
+        .filter((t) => !!t)
+        .join(' / ');
+    Variables['tv.EpisodeOverview'] = first ? first.plot : null;
+    Variables['tv.AirDate'] = airDate;
+    Variables['tv.Runtime'] = (first && first.runtime) || show.runtime || null;
+
+    Variables.VideoMetadata = {
+        Title: title,
+        Description: show.plot || null,
+        Year: showYear,
+        ReleaseDate: airDate || show.premiered || null,
+        AirYear: airYear,
+        OriginalLanguage: language,
+        Genres: genres,
+        Network: Variables['tv.Network'],
+        Season: Variables['tv.Season'],
+        Episode: Variables['tv.Episode'],
+        EpisodeTitle: Variables['tv.EpisodeTitle'],
+        EpisodeOverview: Variables['tv.EpisodeOverview'],
+        Runtime: Variables['tv.Runtime']
+    };
+    Variables.TVShowInfo = {
+        title: title,
+        year: showYear,
+        overview: show.plot || null,
+        genres: genres,
+        network: Variables['tv.Network'],
+        tvdbId: showIds.tvdb ? parseInt(showIds.tvdb, 10) : null,
+        imdbId: showIds.imdb || null,
+        tmdbId: showIds.tmdb ? parseInt(showIds.tmdb, 10) : null
+    };
+    Variables.TVEpisodeInfo = episodes.map((e) => ({
+        title: e.title,
+        seasonNumber: e.season,
+        episodeNumber: e.episode,
+        overview: e.plot,
+        airDate: e.aired || e.premiered,
+        runtime: e.runtime,
+        tvdbId: e.ids.tvdb ? parseInt(e.ids.tvdb, 10) : null
+    }));
+    Variables.OriginalLanguage = language;
+
+    Logger.ILog('Detected VideoMetadata: ' + JSON.stringify(Variables.VideoMetadata));
+    Logger.ILog('Detected Original Language: ' + language);
+}
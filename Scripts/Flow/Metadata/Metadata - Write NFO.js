@@ -0,0 +1,65 @@
+import { NfoHelpers } from 'Shared/NfoHelpers';
+import { ScriptHelpers } from 'Shared/ScriptHelpers';
+
+/**
+ * @description Writes (or updates) a Kodi/Jellyfin NFO beside the output file from the metadata of Radarr - Movie Lookup
+ * or Sonarr - TV Show Lookup, with the stream details of the FFmpeg Builder model (codec, resolution, HDR, audio languages)
+ * @author Vincent Courcelle
+ * @revision 1
+ * @param {string} OutputFile Media file the NFO describes; defaults to the working file (`Variables.file.FullName`)
+ * @param {bool} UseMovieNfo Name movie NFOs `movie.nfo` instead of `<file name>.nfo` (one movie per folder)
+ * @param {bool} Overwrite Rewrite existing NFOs instead of updating them (updates keep actors, art, ratings, ...)
+ * @output NFO written
+ * @output No metadata to write or error
+ */
+function Script(OutputFile, UseMovieNfo, Overwrite) {
+    const nfo = new NfoHelpers();
+    const helpers = new ScriptHelpers();
+    const mediaFile = OutputFile || Variables.file.FullName;
+    const details = nfo.getStreamDetails(Variables.FfmpegBuilderModel);
+    const originalLanguage = Variables.OriginalLanguage || null;
+    if (!details.video) Logger.WLog('FFmpeg Builder model not found, writing the NFO without stream details');
+
+    const episodes = helpers.toEnumerableArray(Variables.TVEpisodeInfo, 50);
+    let root;
+    let blocks;
+    if (Variables.MovieInfo && Variables['movie.RadarrId']) {
+        root = 'movie';
+        blocks = [nfo.buildMovieElements(Variables.MovieInfo, Variables.VideoMetadata, originalLanguage)];
+    } else if (Variables.TVShowInfo && episodes.length) {
+        root = 'episodedetails';
+        blocks = episodes.map((e) =>
+            nfo.buildEpisodeElements(Variables.TVShowInfo, e, Variables.VideoMetadata, originalLanguage)
+        );
+    } else {
+        Logger.WLog('No movie or episode metadata found, run Radarr - Movie Lookup or Sonarr - TV Show Lookup first');
+        return 2;
+    }
+
+    const folder = System.IO.Path.GetDirectoryName(mediaFile);
+    const name =
+        root === 'movie' && UseMovieNfo ? 'movie.nfo' : System.IO.Path.GetFileNameWithoutExtension(mediaFile) + '.nfo';
+    const nfoPath = System.IO.Path.Combine(folder, name);
+
+    try {
+        // Multi-episode files get one <episodedetails> per episode and are always rewritten
+        let existing = '';
+        if (!Overwrite && blocks.length === 1 && System.IO.File.Exists(nfoPath)) {
+            existing = System.IO.File.ReadAllText(nfoPath);
+            Logger.ILog('Updating existing NFO ' + nfoPath);
+        }
+
+        const streamDetails = nfo.buildStreamDetails(details, 1);
+        const content = nfo.toNfo(
+            blocks.map((elements) => nfo.buildDocument(root, elements + streamDetails, existing))
+        );
+        System.IO.File.WriteAllText(nfoPath, content);
+        Variables['Nfo.Path'] = nfoPath;
+        Logger.ILog('NFO written: ' + nfoPath);
+        return 1;
+    } catch (error) {
+        Logger.WLog('Unable to write NFO ' + nfoPath + ': ' + error.message);
+    }
+
+    return 2;
+}
@@ -1,18 +1,19 @@
 import { ScriptHelpers } from 'Shared/ScriptHelpers';
 import { FfmpegHelpers } from 'Shared/FfmpegHelpers';
+import { AutoQualityStore } from 'Shared/AutoQualityStore';
 
 /**
- * @description Automatically determines optimal CRF/quality based on VMAF or SSIM scoring to minimize file size while maintaining visual quality. Uses Netflix's VMAF metric when available, falls back to SSIM.
+ * @description Automatically determines optimal CRF/quality based on VMAF, SSIM or XPSNR scoring to minimize file size while maintaining visual quality. Uses Netflix's VMAF metric when available, falls back to SSIM. Can also reject CRFs that show banding (CAMBI).
  * @help Place this node between 'FFmpeg Builder: Start' and 'FFmpeg Builder: Executor'.
  * @author Vincent Courcelle
- * @revision 28
+ * @revision 39
  * @minimumVersion 24.0.0.0
  * @param {int} TargetVMAF Target VMAF score (0 = auto, 93-99 manual). Quality=97, Balanced=95, Compression=93. Default: 95. Override variable key(s): `TargetVMAF`, `AutoQualityPreset`.
  * @param {int} MinCRF Minimum CRF to search (lower = higher quality, larger file). Suggested: 16-20. Default: 18. Override variable key(s): `MinCRF`, `AutoQualityPreset`.
  * @param {int} MaxCRF Maximum CRF to search (higher = lower quality, smaller file). Suggested: 24-30. Default: 26. Override variable key(s): `MaxCRF`, `AutoQualityPreset`.
  * @param {int} SampleDurationSec Duration of each sample in seconds. Default: 8
  * @param {int} SampleCount Number of samples to take from video. Default: 3
- * @param {int} MaxSearchIterations Maximum binary search iterations. Default: 6
+ * @param {int} MaxSearchIterations Maximum CRF search iterations (test encodes of every sample). Default: 6
  * @param {bool} PreferSmaller When two CRFs meet target, prefer the smaller file (higher CRF). Default: true
  * @param {bool} UseTags Add FileFlows tags with CRF and quality info (premium feature). Default: false
  * @param {('ultrafast'|'superfast'|'veryfast'|'faster'|'fast'|'medium'|'slow'|'slower'|'veryslow')} Preset Encoder preset for quality testing and final encode. Slower = better compression. Default: veryslow. Override variable key: `Preset`.
@@ -158,6 +159,22 @@ function Script(
         }
     }
 
+    // ===== PER-TITLE OVERRIDE =====
+    const store = new AutoQualityStore();
+    const override = store.findOverride(getOverrideNames());
+    if (override) {
+        Logger.ILog(`CRF override ${override.crf} found for "${override.name}" in ${store.OverridesFile}`);
+        applyCRF(video, override.crf, getTargetCodec(video), Preset);
+
+        Variables.AutoQuality_CRF = override.crf;
+        Variables.AutoQuality_Reason = 'stored_override';
+
+        if (UseTags && typeof Flow.AddTags === 'function') {
+            Flow.AddTags([`CRF ${override.crf}`, `Forced`]);
+        }
+        return 1;
+    }
+
     // ===== GET TOOL PATHS =====
     // Use ffmpeg_vmaf variable if set (for VMAF-enabled FFmpeg), otherwise use default
     const customFfmpeg = Variables['ffmpeg_vmaf'] || Variables.ffmpeg_vmaf;
@@ -223,14 +240,40 @@ function Script(
         Logger.WLog(`Could not check for libvmaf support: ${e}`);
     }
 
+    // 'auto' keeps VMAF (or the SSIM fallback); 'ssim' and 'xpsnr' (FFmpeg 7.1+ xpsnr filter) are opt-in
+    const hasLibvmaf = qualityMetric === 'VMAF';
+    const requestedMetric = String(Variables.AutoQuality_QualityMetric || 'auto')
+        .trim()
+        .toUpperCase();
+    if (requestedMetric === 'SSIM') {
+        qualityMetric = 'SSIM';
+    } else if (requestedMetric === 'VMAF' && !hasLibvmaf) {
+        Logger.WLog(`VMAF requested but ${ffmpegPath} has no libvmaf, using SSIM instead (see ffmpeg_vmaf)`);
+    } else if (requestedMetric === 'XPSNR') {
+        if (hasFfmpegFilter(ffmpegPath, 'xpsnr')) qualityMetric = 'XPSNR';
+        else Logger.WLog(`XPSNR requested but the xpsnr filter is not available (FFmpeg 7.1+), using ${qualityMetric}`);
+    }
+
     if (qualityMetric === 'VMAF') {
         Logger.DLog('Quality metric: VMAF (libvmaf available)');
+    } else if (qualityMetric === 'XPSNR' || hasLibvmaf) {
+        Logger.ILog(`Quality metric: ${qualityMetric} (AutoQuality_QualityMetric)`);
     } else {
         Logger.WLog('Quality metric: SSIM (libvmaf not available, using fallback)');
         Logger.DLog('For better quality detection, install FFmpeg with --enable-libvmaf');
     }
     Variables.AutoQuality_Metric = qualityMetric;
 
+    // Banding gate: libvmaf's CAMBI scores banding from 0 (none) to 24, around 5 is visible. A CRF whose CAMBI
+    // exceeds AutoQuality_MaxCAMBI is rejected even when it meets the quality target.
+    let maxCambi = parseFloat(Variables.AutoQuality_MaxCAMBI || 0);
+    if (isNaN(maxCambi) || maxCambi < 0) maxCambi = 0;
+    if (maxCambi > 0 && !hasLibvmaf) {
+        Logger.WLog('AutoQuality_MaxCAMBI is set but libvmaf is not available, banding gate disabled');
+        maxCambi = 0;
+    }
+    if (maxCambi > 0) Logger.ILog(`Banding gate: CAMBI <= ${maxCambi}`);
+
     // ===== GATHER VIDEO INFO =====
     const metadata = helpers.getVideoMetadata();
     const duration = metadata.duration;
@@ -351,6 +394,11 @@ function Script(
         effectiveTarget = 0.96 + (effectiveTargetVMAF - 90) * 0.004;
         effectiveTarget = Math.max(0.95, Math.min(0.999, effectiveTarget));
         Logger.ILog(`Target: VMAF ${effectiveTargetVMAF} → SSIM ${effectiveTarget.toFixed(3)}`);
+    } else if (qualityMetric === 'XPSNR') {
+        // XPSNR is in dB: roughly 1 dB per VMAF point around VMAF 95 → 40 dB, or set AutoQuality_TargetXPSNR
+        const targetXpsnr = parseFloat(Variables.AutoQuality_TargetXPSNR || 0);
+        effectiveTarget = targetXpsnr > 0 ? targetXpsnr : 40 + (effectiveTargetVMAF - 95);
+        Logger.ILog(`Target: VMAF ${effectiveTargetVMAF} → XPSNR ${effectiveTarget.toFixed(2)} dB`);
     } else {
         Logger.ILog(`Target VMAF: ${effectiveTargetVMAF}`);
     }
@@ -376,8 +424,125 @@ function Script(
         }
     }
 
+    const sampleMode = String(Variables.AutoQuality_SampleMode || 'even')
+        .trim()
+        .toLowerCase();
+
+    // ===== REUSE STORED RESULT =====
+    // A retried flow (e.g. the executor failed) finds the result of the previous search for the same source
+    // and settings, and skips the search.
+    const fingerprint = store.getFingerprint(originalFile);
+    const storeKeyParts = {
+        source: fingerprint,
+        encoder: targetCodec,
+        preset: Preset,
+        filters: upstreamVideoFilters || '',
+        metric: qualityMetric,
+        target: qualityMetric === 'XPSNR' ? effectiveTarget : effectiveTargetVMAF,
+        crfRange: MinCRF + '-' + MaxCRF,
+        samples: sampleMode + ':' + SampleCount + 'x' + SampleDurationSec + 's',
+        aggregation: ScoreAggregation
+    };
+    if (maxCambi > 0) storeKeyParts.maxCambi = maxCambi;
+    const storeKey = fingerprint ? store.buildKey(storeKeyParts) : null;
+    const stored = storeKey && !helpers.truthy(Variables.AutoQuality_IgnoreStore) ? store.findResult(storeKey) : null;
+    if (stored) {
+        const storedScore = stored.score !== undefined && stored.score !== null ? stored.score : 'n/a';
+        Logger.ILog(
+            `Reusing Auto Quality result from ${stored.time}: ${stored.decision === 'copy' ? 'copy' : 'CRF ' + stored.crf} (${stored.metric} ${storedScore}, target ${stored.target})`
+        );
+        Variables.AutoQuality_Reason = 'stored_result';
+        Variables.AutoQuality_Score = stored.score;
+        Variables.AutoQuality_Metric = stored.metric;
+        Variables.AutoQuality_Target = stored.target;
+        Variables.AutoQuality_Results = JSON.stringify(stored.results || []);
+
+        if (stored.decision === 'copy') {
+            Variables.AutoQuality_CRF = 'copy';
+            if (UseTags && typeof Flow.AddTags === 'function') {
+                Flow.AddTags(['Copy']);
+            }
+            return 2;
+        }
+
+        applyCRF(video, stored.crf, targetCodec, Preset);
+        Variables.AutoQuality_CRF = stored.crf;
+        if (typeof Flow.AdditionalInfoRecorder === 'function') {
+            Flow.AdditionalInfoRecorder('CRF', stored.crf, 1000);
+        }
+        if (UseTags && typeof Flow.AddTags === 'function') {
+            Flow.AddTags([`CRF ${stored.crf}`]);
+        }
+        return 1;
+    }
+
+    // ===== CRF PRIOR FROM HISTORY =====
+    // Opt-in ('off' by default, history.json is still recorded): 'narrow' starts the search in a window around the CRF predicted from similar past encodes (widened again
+    // when the answer is at its edge); 'skip' also applies the prediction directly when it is confident.
+    const priorMode = String(Variables.AutoQuality_PriorMode || 'off')
+        .trim()
+        .toLowerCase();
+    const contentInfo = getContentInfo();
+    const noiseScore = parseFloat(Variables.noise_probe_score);
+    const historyFeatures = {
+        width: width,
+        height: height,
+        sourceCodec: videoCodec,
+        bitrate: videoBitrate,
+        year: contentInfo.year,
+        genres: contentInfo.genres,
+        noise: isNaN(noiseScore) ? null : noiseScore,
+        encoder: targetCodec,
+        preset: Preset,
+        metric: qualityMetric,
+        target: qualityMetric === 'XPSNR' ? effectiveTarget : effectiveTargetVMAF,
+        maxCambi: maxCambi
+    };
+    const prior = priorMode !== 'off' ? store.predictCrf(historyFeatures) : null;
+    let priorWindow = null;
+    if (prior) {
+        Logger.ILog(
+            `CRF prior: ${prior.crf.toFixed(1)} ±${prior.spread.toFixed(1)} from ${prior.count} similar encodes (${prior.close} close)`
+        );
+        Variables.AutoQuality_PredictedCRF = Math.round(prior.crf * 10) / 10;
+
+        if (priorMode === 'skip' && prior.confident) {
+            const priorCrf = Math.max(MinCRF, Math.min(MaxCRF, Math.round(prior.crf)));
+            Logger.ILog(`Confident CRF prior, skipping the search: CRF ${priorCrf}`);
+            applyCRF(video, priorCrf, targetCodec, Preset);
+
+            Variables.AutoQuality_CRF = priorCrf;
+            Variables.AutoQuality_Reason = 'history_prior';
+            Variables.AutoQuality_Target = effectiveTarget;
+            if (typeof Flow.AdditionalInfoRecorder === 'function') {
+                Flow.AdditionalInfoRecorder('CRF', priorCrf, 1000);
+            }
+            if (UseTags && typeof Flow.AddTags === 'function') {
+                Flow.AddTags([`CRF ${priorCrf}`]);
+            }
+            return 1;
+        }
+
+        const margin = Math.max(2, Math.ceil(prior.spread * 2));
+        const windowMin = Math.max(MinCRF, Math.round(prior.crf) - margin);
+        const windowMax = Math.min(MaxCRF, Math.round(prior.crf) + margin);
+        if (windowMin <= windowMax && (windowMin > MinCRF || windowMax < MaxCRF)) {
+            priorWindow = { min: windowMin, max: windowMax };
+            Logger.ILog(`CRF search window narrowed to ${windowMin}-${windowMax} by the prior`);
+        }
+    }
+
     // ===== CALCULATE SAMPLE POSITIONS =====
-    const samplePositions = calculateSamplePositions(duration, SampleCount, SampleDurationSec);
+    // 'even' spreads samples through the file; 'scene' picks high-motion, dark and average segments
+    // from a scene/black-frame analysis pass, away from the intro and credits.
+    let samplePositions = null;
+    if (sampleMode === 'scene') {
+        const analysis = analyzeScenes(ffmpegPath, originalFile, duration);
+        samplePositions = analysis ? selectScenePositions(analysis, duration, SampleCount, SampleDurationSec) : null;
+        if (!samplePositions) Logger.WLog('Scene-aware sampling unavailable, spreading samples evenly');
+    }
+    Variables.AutoQuality_SampleSelection = samplePositions ? 'scene' : 'even';
+    if (!samplePositions) samplePositions = calculateSamplePositions(duration, SampleCount, SampleDurationSec);
     Logger.DLog(`Sample positions: ${samplePositions.map((p) => Math.round(p) + 's').join(', ')}`);
 
     // Extract short video-only sample files once (provider-style) to avoid repeatedly opening/seeking the full source.
@@ -425,6 +590,9 @@ function Script(
         if (qualityMetric === 'VMAF') {
             effectiveTarget = Math.min(effectiveTarget + luminanceBoost, 99);
             effectiveTargetVMAF = Math.min(effectiveTargetVMAF + luminanceBoost, 99);
+        } else if (qualityMetric === 'XPSNR') {
+            // XPSNR: boost by 0.5 dB per level
+            effectiveTarget += luminanceBoost * 0.5;
         } else {
             // SSIM: boost by ~0.005 per level
             effectiveTarget = Math.min(effectiveTarget + luminanceBoost * 0.005, 0.999);
@@ -498,8 +666,8 @@ function Script(
     let bestCRF = null;
     let bestScore = 0;
 
-    let lowCRF = MinCRF;
-    let highCRF = MaxCRF;
+    let lowCRF = priorWindow ? priorWindow.min : MinCRF;
+    let highCRF = priorWindow ? priorWindow.max : MaxCRF;
     let iterations = 0;
 
     // Sample-based progress tracking
@@ -510,13 +678,27 @@ function Script(
     let batchesCompleted = referenceBatches; // Reference samples already completed
 
     try {
-        while (lowCRF <= highCRF && iterations < MaxSearchIterations) {
+        while (iterations < MaxSearchIterations) {
+            if (lowCRF > highCRF) {
+                // The answer may lie past the edge of the window narrowed by the prior: widen it once
+                if (priorWindow && lowCRF > priorWindow.max && priorWindow.max < MaxCRF) highCRF = MaxCRF;
+                else if (priorWindow && highCRF < priorWindow.min && priorWindow.min > MinCRF) lowCRF = MinCRF;
+                else break;
+                Logger.ILog(`Best CRF is at the edge of the prior window, widening the search to ${lowCRF}-${highCRF}`);
+                priorWindow = null;
+                continue;
+            }
             iterations++;
-            const testCRF = Math.round((lowCRF + highCRF) / 2);
+            const prediction = predictNextCrf(searchResults, effectiveTarget, lowCRF, highCRF, qualityMetric);
+            if (prediction.crf === null) {
+                Logger.DLog(`CRF search done: ${prediction.reason}`);
+                break;
+            }
+            const testCRF = prediction.crf;
 
             const existing = searchResults.find((r) => r.crf === testCRF);
             if (existing) {
-                if (existing.score >= effectiveTarget) {
+                if (existing.pass) {
                     highCRF = testCRF - 1;
                 } else {
                     lowCRF = testCRF + 1;
@@ -524,7 +706,7 @@ function Script(
                 continue;
             }
 
-            Logger.DLog(`[${iterations}/${MaxSearchIterations}] Testing CRF ${testCRF}...`);
+            Logger.DLog(`[${iterations}/${MaxSearchIterations}] Testing CRF ${testCRF} (${prediction.reason})...`);
             if (typeof Flow.AdditionalInfoRecorder === 'function') {
                 Flow.AdditionalInfoRecorder('Auto Quality', `CRF ${testCRF}`, 1);
             }
@@ -562,6 +744,8 @@ function Script(
             }
 
             const qualityScore = result.score;
+            const gateFailures = getGateFailures(result);
+            const passes = qualityScore >= effectiveTarget && gateFailures.length === 0;
             const estimatedVideoSize = result.bitrate > 0 ? result.bitrate * duration : 0;
             const estimatedAudioSize = getEstimatedAudioSize(ffmpegModel, duration);
             const estimatedSize = estimatedVideoSize + estimatedAudioSize;
@@ -572,11 +756,18 @@ function Script(
                 min: result.min,
                 max: result.max,
                 avg: result.avg,
-                size: estimatedSize
+                cambi: result.cambi,
+                size: estimatedSize,
+                pass: passes,
+                failedGates: gateFailures
             });
             const scoreDisplay = qualityMetric === 'SSIM' ? qualityScore.toFixed(4) : qualityScore.toFixed(2);
+            const cambiDisplay = typeof result.cambi === 'number' ? `, CAMBI ${result.cambi.toFixed(2)}` : '';
             const sizeDisplay = helpers.bytesToGb(estimatedSize).toFixed(2) + ' GB';
-            Logger.DLog(`CRF ${testCRF}: ${qualityMetric} ${scoreDisplay}, Est. Size: ${sizeDisplay}`);
+            Logger.DLog(`CRF ${testCRF}: ${qualityMetric} ${scoreDisplay}${cambiDisplay}, Est. Size: ${sizeDisplay}`);
+            if (gateFailures.length > 0 && qualityScore >= effectiveTarget) {
+                Logger.ILog(`CRF ${testCRF} meets the ${qualityMetric} target but fails: ${gateFailures.join(', ')}`);
+            }
 
             const maxSize = parseInt(Variables.MaxFileSize || 0);
             const useMaxSize = EnforceMaxSize && maxSize > 0;
@@ -590,7 +781,7 @@ function Script(
                     );
                     lowCRF = testCRF + 1;
                 } else {
-                    if (qualityScore >= effectiveTarget) {
+                    if (passes) {
                         bestCRF = testCRF;
                         bestScore = qualityScore;
                         if (PreferSmaller) {
@@ -605,7 +796,7 @@ function Script(
                     }
                 }
             } else {
-                if (qualityScore >= effectiveTarget) {
+                if (passes) {
                     bestCRF = testCRF;
                     bestScore = qualityScore;
                     if (PreferSmaller) {
@@ -625,12 +816,17 @@ function Script(
 
     if (bestCRF === null) {
         if (searchResults.length > 0) {
-            const best = searchResults.reduce((a, b) => (a.score > b.score ? a : b));
+            // Prefer the CRFs that pass the secondary gates, then the best score
+            const withinGates = searchResults.filter((r) => !r.failedGates || r.failedGates.length === 0);
+            const best = (withinGates.length > 0 ? withinGates : searchResults).reduce((a, b) =>
+                a.score > b.score ? a : b
+            );
             bestCRF = best.crf;
             bestScore = best.score;
             const scoreDisplay = qualityMetric === 'SSIM' ? bestScore.toFixed(4) : bestScore.toFixed(2);
+            const gatesDisplay = maxCambi > 0 ? ` and CAMBI <= ${maxCambi}` : '';
             Logger.WLog(
-                `No CRF met target ${qualityMetric} ${targetDisplay}. Using best found: CRF ${bestCRF} (${qualityMetric} ${scoreDisplay})`
+                `No CRF met target ${qualityMetric} ${targetDisplay}${gatesDisplay}. Using best found: CRF ${bestCRF} (${qualityMetric} ${scoreDisplay})`
             );
         } else {
             Logger.ELog(`${qualityMetric} search failed completely. Leaving quality settings unchanged.`);
@@ -643,6 +839,22 @@ function Script(
 
     logResultsTable(searchResults, bestCRF, effectiveTarget, qualityMetric);
 
+    // ===== CRF HISTORY =====
+    if (prior) {
+        const error = bestCRF - prior.crf;
+        Logger.ILog(
+            `CRF prior: predicted ${prior.crf.toFixed(1)}, measured ${bestCRF} (error ${error >= 0 ? '+' : ''}${error.toFixed(1)})`
+        );
+    }
+    // Only CRFs that met the target (and gates) describe what the content needs
+    const bestSearchResult = searchResults.find((r) => r.crf === bestCRF);
+    if (bestSearchResult && bestSearchResult.pass) {
+        historyFeatures.crf = bestCRF;
+        historyFeatures.predicted = prior ? Math.round(prior.crf * 10) / 10 : null;
+        historyFeatures.file = System.IO.Path.GetFileName(originalFile);
+        store.addHistory(historyFeatures);
+    }
+
     // ===== CHECK SIZE REDUCTION =====
     if (bestCRF !== null) {
         const bestResult = searchResults.find((r) => r.crf === bestCRF);
@@ -676,6 +888,17 @@ function Script(
                 Variables.AutoQuality_Metric = qualityMetric;
                 Variables.AutoQuality_Target = effectiveTarget;
                 Variables.AutoQuality_EstimatedReduction = reduction;
+                if (storeKey) {
+                    store.saveResult(storeKey, {
+                        decision: 'copy',
+                        crf: bestCRF,
+                        score: bestScore,
+                        metric: qualityMetric,
+                        target: effectiveTarget,
+                        results: searchResults,
+                        file: originalFile
+                    });
+                }
 
                 if (UseTags && typeof Flow.AddTags === 'function') {
                     Flow.AddTags(['Copy']);
@@ -698,6 +921,20 @@ function Script(
     Variables.AutoQuality_TargetVMAF = effectiveTargetVMAF; // Keep for backwards compatibility
     Variables.AutoQuality_Iterations = iterations;
     Variables.AutoQuality_Results = JSON.stringify(searchResults);
+    if (bestSearchResult && typeof bestSearchResult.cambi === 'number') {
+        Variables.AutoQuality_CAMBI = bestSearchResult.cambi;
+    }
+    if (storeKey) {
+        store.saveResult(storeKey, {
+            decision: 'encode',
+            crf: bestCRF,
+            score: bestScore,
+            metric: qualityMetric,
+            target: effectiveTarget,
+            results: searchResults,
+            file: originalFile
+        });
+    }
 
     const finalScoreDisplay = qualityMetric === 'SSIM' ? bestScore.toFixed(4) : bestScore.toFixed(1);
     if (typeof Flow.AdditionalInfoRecorder === 'function') {
@@ -954,7 +1191,7 @@ function Script(
         // Content-aware VMAF targeting
         // Check multiple sources for metadata (Radarr/Sonarr search scripts populate these)
         const metadata = Variables.VideoMetadata || Variables.MovieInfo || Variables.TVShowInfo || {};
-        const year = metadata.Year || metadata.year || 2015;
+        const year = metadata.AirYear || metadata.Year || metadata.year || 2015;
 
         // Genres can be an array or string
         let genres = metadata.Genres || metadata.genres || [];
@@ -1007,6 +1244,68 @@ function Script(
         return target;
     }
 
+    /**
+     * Year and lowercased genres of the title, as set by the Radarr/Sonarr lookups
+     * @returns {Object} { year, genres }
+     */
+    function getContentInfo() {
+        const metadata = Variables.VideoMetadata || Variables.MovieInfo || Variables.TVShowInfo || {};
+        let genres = metadata.Genres || metadata.genres || [];
+        if (typeof genres === 'string') {
+            genres = genres.split(/[,|]/);
+        }
+        return {
+            year: parseInt(metadata.AirYear || metadata.Year || metadata.year, 10) || null,
+            genres: toEnumerableArray(genres, 50)
+                .map((g) => String(g).trim().toLowerCase())
+                .filter((g) => !!g)
+        };
+    }
+
+    /**
+     * Names looked up in the store's overrides.json, most specific first: "Title (Year)", title, source file name
+     * @returns {Array}
+     */
+    function getOverrideNames() {
+        const metadata = Variables.VideoMetadata || Variables.MovieInfo || Variables.TVShowInfo || {};
+        const title = metadata.Title || metadata.title || '';
+        const year = metadata.Year || metadata.year || '';
+        const orig = Variables.file && Variables.file.Orig;
+        const fileName = orig
+            ? orig.FileNameNoExtension || System.IO.Path.GetFileNameWithoutExtension(orig.FullName)
+            : '';
+        return [title && year ? `${title} (${year})` : '', title, fileName];
+    }
+
+    /**
+     * Whether the FFmpeg build has a filter (`-h filter=<name>` fails or prints nothing otherwise)
+     * @returns {boolean}
+     */
+    function hasFfmpegFilter(ffmpeg, name) {
+        try {
+            const args = ['-hide_banner', '-loglevel', 'error', '-h', 'filter=' + name];
+            let check = helpers.executeSilently(ffmpeg, args, 30);
+            if (!check || check.exitCode === -1) {
+                check = Flow.Execute({ command: ffmpeg, argumentList: args, timeout: 30, silent: true });
+            }
+            const out = (check.output || '') + (check.standardOutput || '') + (check.standardError || '');
+            return check.exitCode === 0 && out.toLowerCase().indexOf(name) !== -1;
+        } catch (e) {
+            Logger.WLog(`Could not check for ${name} support: ${e}`);
+            return false;
+        }
+    }
+
+    /**
+     * Secondary gates a measurement fails; a CRF only passes when it meets the target and none fails
+     * @returns {Array} Names of the failed gates (e.g. 'CAMBI')
+     */
+    function getGateFailures(result) {
+        const failures = [];
+        if (maxCambi > 0 && typeof result.cambi === 'number' && result.cambi > maxCambi) failures.push('CAMBI');
+        return failures;
+    }
+
     function getMaxAcceptableBitrate(w, h) {
         // Max bitrate thresholds based on resolution
         const pixels = w * h;
@@ -1036,6 +1335,278 @@ function Script(
         return positions;
     }
 
+    /**
+     * Whole-file analysis for scene-aware sampling: decodes every frame but only looks at two per second, downscaled,
+     * and records per analyzed frame the scene change score against the previous one (motion/complexity) and the
+     * average luma, plus the black segments (blackdetect). Keyframes alone are not enough: they sit at irregular
+     * intervals (GOP length, scene cuts), so their scene scores compare unrelated pictures and blackdetect misses
+     * most black segments.
+     * @returns {Object|null} { frames: [{ t, scene, luma }], blacks: [{ start, end }] }, or null on failure
+     */
+    function analyzeScenes(ffmpeg, inputFile, totalDuration) {
+        const metadataFile = System.IO.Path.Combine(Flow.TempPath, 'autoquality_scenes_' + Flow.NewGuid() + '.txt');
+        const filter =
+            "fps=2,scale=320:-2:flags=fast_bilinear,select='gte(scene,0)',signalstats,blackdetect=d=1:pix_th=0.10," +
+            'metadata=print:file=' +
+            escapeFfmpegFilterArgValue(metadataFile);
+        // Skipping the in-loop deblocking speeds up decoding with any codec; the downscale hides its artifacts
+        const args = ['-hide_banner', '-nostats', '-skip_loop_filter', 'all'];
+        args.push('-i', inputFile, '-map', '0:v:0', '-an', '-sn', '-dn', '-vf', filter, '-f', 'null', '-');
+
+        const startTime = Date.now();
+        let text = '';
+        try {
+            Logger.ILog('Scene-aware sampling: analyzing scenes and black frames...');
+            // Decoding dominates: allow up to real time (slow software decoding of 4K sources)
+            const result = helpers.executeSilently(ffmpeg, args, Math.max(300, Math.round(totalDuration)));
+            if (!result || result.exitCode !== 0) {
+                Logger.WLog(`Scene analysis failed (exit code ${result ? result.exitCode : 'n/a'})`);
+                return null;
+            }
+            if (System.IO.File.Exists(metadataFile)) text = System.IO.File.ReadAllText(metadataFile);
+        } catch (e) {
+            Logger.WLog(`Scene analysis failed: ${e}`);
+            return null;
+        } finally {
+            try {
+                if (System.IO.File.Exists(metadataFile)) System.IO.File.Delete(metadataFile);
+            } catch (e) {}
+        }
+
+        // metadata=print writes a "frame:N pts:X pts_time:T" line followed by that frame's key=value lines
+        const frames = [];
+        const blacks = [];
+        let current = null;
+        let blackStart = null;
+        const lines = String(text).split(/\r?\n/);
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const frameMatch = line.match(/pts_time:(-?\d+\.?\d*)/);
+            if (frameMatch) {
+                current = { t: parseFloat(frameMatch[1]), scene: 0, luma: -1 };
+                frames.push(current);
+                continue;
+            }
+            if (!current) continue;
+            let m = line.match(/lavfi\.scene_score=(\d+\.?\d*)/);
+            if (m) current.scene = parseFloat(m[1]);
+            m = line.match(/lavfi\.signalstats\.YAVG=(\d+\.?\d*)/);
+            if (m) current.luma = parseFloat(m[1]);
+            m = line.match(/lavfi\.black_start=(\d+\.?\d*)/);
+            if (m) blackStart = parseFloat(m[1]);
+            m = line.match(/lavfi\.black_end=(\d+\.?\d*)/);
+            if (m && blackStart !== null) {
+                blacks.push({ start: blackStart, end: parseFloat(m[1]) });
+                blackStart = null;
+            }
+        }
+        if (blackStart !== null) blacks.push({ start: blackStart, end: totalDuration });
+
+        if (frames.length === 0) {
+            Logger.WLog('Scene analysis returned no frame data');
+            return null;
+        }
+        const seconds = ((Date.now() - startTime) / 1000).toFixed(1);
+        Logger.ILog(`Scene analysis: ${frames.length} frames, ${blacks.length} black segments in ${seconds}s`);
+        return { frames: frames, blacks: blacks };
+    }
+
+    /**
+     * Picks representative sample positions from analyzeScenes: the intro ends at the last black segment of the
+     * first 20% of the file and the credits start at the first black segment of the last 20% (10% margins when
+     * none is found). Candidate windows that are mostly black or static (title cards) are skipped; the samples are
+     * the highest-motion, darkest and most average windows, then evenly spread ones for larger SampleCount.
+     * @returns {Array|null} Sorted positions in seconds, or null when there are too few candidates
+     */
+    function selectScenePositions(analysis, totalDuration, count, sampleDur) {
+        const SCENE_CUT_THRESHOLD = 0.3; // same meaning as select='gt(scene,0.3)'
+        const STATIC_MOTION = 0.002;
+        const MAX_BLACK_RATIO = 0.1;
+
+        const margin = Math.max(30, totalDuration * 0.1);
+        const edge = totalDuration * 0.2;
+        let introEnd = margin;
+        let introReason = '10% margin';
+        const introBlacks = analysis.blacks.filter((b) => b.end <= edge);
+        if (introBlacks.length > 0) {
+            introEnd = Math.max(30, introBlacks[introBlacks.length - 1].end);
+            introReason = 'black frames';
+        }
+        let creditsStart = totalDuration - margin;
+        let creditsReason = '10% margin';
+        const creditsBlack = analysis.blacks.find((b) => b.start >= totalDuration - edge);
+        if (creditsBlack) {
+            creditsStart = Math.min(totalDuration - 30, creditsBlack.start);
+            creditsReason = 'black frames';
+        }
+        Logger.ILog(
+            `Scene-aware sampling: intro ends at ${Math.round(introEnd)}s (${introReason}), credits start at ${Math.round(creditsStart)}s (${creditsReason})`
+        );
+
+        // Score consecutive sample-length windows between intro and credits
+        const frames = analysis.frames;
+        const windows = [];
+        let skipped = 0;
+        let f = 0;
+        for (let start = introEnd; start + sampleDur <= creditsStart; start += sampleDur) {
+            const end = start + sampleDur;
+            while (f < frames.length && frames[f].t < start) f++;
+            let n = 0;
+            let motion = 0;
+            let cuts = 0;
+            let lumaSum = 0;
+            let lumaCount = 0;
+            for (let j = f; j < frames.length && frames[j].t < end; j++) {
+                n++;
+                motion += frames[j].scene;
+                if (frames[j].scene > SCENE_CUT_THRESHOLD) cuts++;
+                if (frames[j].luma >= 0) {
+                    lumaSum += frames[j].luma;
+                    lumaCount++;
+                }
+            }
+            if (n === 0) continue;
+
+            let blackSeconds = 0;
+            for (let j = 0; j < analysis.blacks.length; j++) {
+                const b = analysis.blacks[j];
+                blackSeconds += Math.max(0, Math.min(end, b.end) - Math.max(start, b.start));
+            }
+            const w = {
+                start: start,
+                motion: motion / n,
+                cuts: cuts,
+                luma: lumaCount > 0 ? lumaSum / lumaCount : -1
+            };
+            if (blackSeconds / sampleDur > MAX_BLACK_RATIO || w.motion < STATIC_MOTION) {
+                skipped++;
+                continue;
+            }
+            windows.push(w);
+        }
+        Logger.DLog(`Scene-aware sampling: ${windows.length} candidate windows, ${skipped} skipped (black/static)`);
+        if (windows.length < count) return null;
+
+        const picks = [];
+        const isFree = (w) => !picks.some((p) => Math.abs(p.start - w.start) < sampleDur * 2);
+        const pick = (sorted, reason) => {
+            const w = sorted.find(isFree);
+            if (w && picks.length < count) picks.push({ start: w.start, reason: reason, window: w });
+        };
+
+        const byMotion = windows.slice().sort((a, b) => a.motion - b.motion);
+        const medianMotion = byMotion[Math.floor(byMotion.length / 2)].motion;
+        pick(
+            windows.slice().sort((a, b) => Math.abs(a.motion - medianMotion) - Math.abs(b.motion - medianMotion)),
+            'average'
+        );
+        pick(byMotion.slice().reverse(), 'high motion');
+        pick(
+            windows.filter((w) => w.luma >= 0).sort((a, b) => a.luma - b.luma),
+            'dark'
+        );
+
+        // Extra samples: the free window closest to the middle of the largest gap between picks
+        while (picks.length < count) {
+            const bounds = [introEnd]
+                .concat(picks.map((p) => p.start).sort((a, b) => a - b))
+                .concat([creditsStart - sampleDur]);
+            let target = introEnd;
+            let widest = -1;
+            for (let i = 1; i < bounds.length; i++) {
+                if (bounds[i] - bounds[i - 1] > widest) {
+                    widest = bounds[i] - bounds[i - 1];
+                    target = (bounds[i] + bounds[i - 1]) / 2;
+                }
+            }
+            const before = picks.length;
+            pick(
+                windows.slice().sort((a, b) => Math.abs(a.start - target) - Math.abs(b.start - target)),
+                'coverage'
+            );
+            if (picks.length === before) break;
+        }
+        if (picks.length < count) return null;
+
+        picks.sort((a, b) => a.start - b.start);
+        for (let i = 0; i < picks.length; i++) {
+            const w = picks[i].window;
+            const luma = w.luma >= 0 ? w.luma.toFixed(1) : 'n/a';
+            Logger.ILog(
+                `Sample at ${Math.round(w.start)}s: ${picks[i].reason} (motion ${w.motion.toFixed(3)}, luma ${luma}, ${w.cuts} cuts)`
+            );
+        }
+        return picks.map((p) => p.start);
+    }
+
+    /**
+     * Picks the next CRF to test inside [low, high] (the CRFs not yet ruled out). Quality vs CRF is close to
+     * monotonic and smooth, so instead of bisecting the window the target is predicted from the measured points:
+     * interpolated between the two results that bracket it, otherwise extrapolated from a least-squares line
+     * (a typical slope with a single point). The search stops once the target is bracketed: a passing CRF and the
+     * next failing one are measured, or the next CRF is predicted well below the target.
+     * A CRF rejected by a secondary gate (e.g. CAMBI) while meeting the target says nothing about the score: the
+     * window is bisected instead.
+     * @returns {Object} { crf, reason }, crf null when the search is done
+     */
+    function predictNextCrf(results, target, low, high, metric) {
+        const clamp = (crf) => Math.max(low, Math.min(high, crf));
+        const points = results.filter((r) => r.score >= 0).sort((a, b) => a.crf - b.crf);
+        if (points.length === 0) return { crf: Math.round((low + high) / 2), reason: 'midpoint' };
+
+        const format = (v) => (metric === 'SSIM' ? v.toFixed(4) : v.toFixed(2));
+        // Predicted CRF rounded down: the highest CRF expected to still meet the target
+        const solve = (crf1, score1, slope) => clamp(Math.floor(crf1 + (score1 - target) / slope + 1e-9));
+        const passes = (p) => (p.pass !== undefined ? p.pass : p.score >= target);
+
+        let passing = null;
+        let failing = null;
+        for (let i = 0; i < points.length; i++) {
+            if (passes(points[i])) passing = points[i];
+            else if (!failing) failing = points[i];
+        }
+        const gateFailure = points.filter((p) => !passes(p) && p.score >= target)[0];
+        if (gateFailure) {
+            return { crf: Math.round((low + high) / 2), reason: `midpoint (CRF ${gateFailure.crf} failed a gate)` };
+        }
+        if (passing && failing && passing.crf < failing.crf) {
+            const slope = (passing.score - failing.score) / (failing.crf - passing.crf);
+            // The CRF above the best passing one is predicted clearly below target: no need to measure it
+            const margin = metric === 'SSIM' ? 0.001 : metric === 'XPSNR' ? 0.3 : 0.5;
+            if (slope > 0 && passing.score - slope <= target - margin) {
+                return { crf: null, reason: `bracketed between CRF ${passing.crf} and ${failing.crf}` };
+            }
+            if (slope > 0) {
+                return {
+                    crf: solve(passing.crf, passing.score, slope),
+                    reason: `interpolated between CRF ${passing.crf} and ${failing.crf}`
+                };
+            }
+        }
+
+        if (points.length === 1) {
+            // Typical quality loss per CRF step near usual targets
+            const slope = metric === 'SSIM' ? 0.0015 : metric === 'XPSNR' ? 0.4 : 0.6;
+            return {
+                crf: solve(points[0].crf, points[0].score, slope),
+                reason: `extrapolated from CRF ${points[0].crf} (${metric} ${format(points[0].score)})`
+            };
+        }
+
+        const n = points.length;
+        const meanX = points.reduce((a, p) => a + p.crf, 0) / n;
+        const meanY = points.reduce((a, p) => a + p.score, 0) / n;
+        let sxx = 0;
+        let sxy = 0;
+        for (let i = 0; i < n; i++) {
+            sxx += (points[i].crf - meanX) * (points[i].crf - meanX);
+            sxy += (points[i].crf - meanX) * (points[i].score - meanY);
+        }
+        const slope = sxx > 0 ? -sxy / sxx : 0;
+        if (slope <= 0) return { crf: Math.round((low + high) / 2), reason: 'midpoint (non-monotonic scores)' };
+        return { crf: solve(meanX, meanY, slope), reason: `extrapolated from ${n} points` };
+    }
+
     function detectNeedsQsvFilters(filters) {
         const s = String(filters || '')
             .trim()
@@ -1584,6 +2155,7 @@ function Script(
     ) {
         const tempDir = Flow.TempPath;
         const scores = [];
+        const cambiScores = [];
         let totalEncodedBytes = 0;
         let totalEncodedSeconds = 0;
 
@@ -1817,14 +2389,21 @@ function Script(
         // Build metric filter with log file output to avoid needing -loglevel info
         function buildMetricFilter(metricType, logFilePath) {
             const escapedPath = escapeFfmpegFilterArgValue(logFilePath);
-            if (metricType === 'VMAF') {
+            if (metricType === 'VMAF' || metricType === 'CAMBI') {
+                // CAMBI rides along in the VMAF pass when the banding gate is enabled. On its own (next to SSIM/XPSNR)
+                // the model is left out (`model=` empty): libvmaf then only computes the CAMBI feature.
+                const withCambi = metricType === 'CAMBI' || maxCambi > 0;
                 return (
                     'libvmaf=n_threads=4' +
+                    (metricType === 'CAMBI' ? ':model=' : '') +
                     (vmafNSubsample > 1 ? ':n_subsample=' + vmafNSubsample : '') +
+                    (withCambi ? ':feature=name=cambi' : '') +
                     ':shortest=1:eof_action=endall:log_path=' +
                     escapedPath +
                     ':log_fmt=json'
                 );
+            } else if (metricType === 'XPSNR') {
+                return 'xpsnr=stats_file=' + escapedPath;
             } else {
                 // SSIM with stats_file
                 return 'ssim=stats_file=' + escapedPath;
@@ -1892,7 +2471,18 @@ function Script(
             // Create unique log file for this metric measurement
             const metricLogFile = `${tempDir}/${task.sample.key}_metric_q${qualityValue}.log`;
             const currentMetricFilter = buildMetricFilter(metric, metricLogFile);
-            const filterComplex = `[0:v]setpts=PTS-STARTPTS,scale=flags=bicubic[distorted];[1:v]${refChain}[reference];[distorted][reference]${currentMetricFilter}`;
+            let filterComplex = `[0:v]setpts=PTS-STARTPTS,scale=flags=bicubic[distorted];[1:v]${refChain}[reference];[distorted][reference]${currentMetricFilter}`;
+
+            // Banding gate with SSIM/XPSNR: split both inputs and run libvmaf (CAMBI) next to the metric filter
+            let cambiLogFile = null;
+            if (maxCambi > 0 && metric !== 'VMAF') {
+                cambiLogFile = `${tempDir}/${task.sample.key}_cambi_q${qualityValue}.json`;
+                filterComplex =
+                    `[0:v]setpts=PTS-STARTPTS,scale=flags=bicubic,split[distorted][distorted2];` +
+                    `[1:v]${refChain},split[reference][reference2];` +
+                    `[distorted][reference]${currentMetricFilter};` +
+                    `[distorted2][reference2]${buildMetricFilter('CAMBI', cambiLogFile)}`;
+            }
 
             // Use -loglevel error and -nostats to suppress verbose output
             // Score is captured via log file instead of stdout
@@ -1939,7 +2529,8 @@ function Script(
                 args: metricArgs,
                 sample: task.sample,
                 encodedSample: task.encodedSample,
-                metricLogFile: metricLogFile
+                metricLogFile: metricLogFile,
+                cambiLogFile: cambiLogFile
             });
 
             validEncodedSamples.push(task.encodedSample);
@@ -1968,12 +2559,13 @@ function Script(
                 Logger.WLog(
                     `Error measuring quality for sample ${t.sample.key}. Output: ${(res.output || '').substring(0, 100)}...`
                 );
-                cleanupFiles([t.metricLogFile]);
+                cleanupFiles([t.metricLogFile, t.cambiLogFile]);
                 continue;
             }
 
             // Read score from log file instead of stdout
             let score = null;
+            let cambi = null;
             try {
                 if (System.IO.File.Exists(t.metricLogFile)) {
                     const logContent = System.IO.File.ReadAllText(t.metricLogFile);
@@ -1993,6 +2585,25 @@ function Script(
                             const vmafMatch = logContent.match(/"vmaf"\s*:\s*([0-9]+(?:\.[0-9]+)?)/);
                             if (vmafMatch) score = parseFloat(vmafMatch[1]);
                         }
+                        if (maxCambi > 0) cambi = parseCambiMean(logContent);
+                    } else if (metric === 'XPSNR') {
+                        // Parse xpsnr stats_file output
+                        // Format: n:    1  XPSNR y: 41.2345  XPSNR u: 44.5678  XPSNR v: 45.0123 (per frame)
+                        // Planes weighted like 4:2:0 (4 luma : 1 : 1); identical frames report inf, counted as 100 dB
+                        const frameValues = [];
+                        const planeValue = (v) => (/^inf/i.test(v) ? 100 : parseFloat(v));
+                        const xpsnrRe =
+                            /XPSNR y:\s*([0-9.]+|inf\w*)\s+XPSNR u:\s*([0-9.]+|inf\w*)\s+XPSNR v:\s*([0-9.]+|inf\w*)/gi;
+                        let m;
+                        while ((m = xpsnrRe.exec(logContent)) !== null) {
+                            const v = (4 * planeValue(m[1]) + planeValue(m[2]) + planeValue(m[3])) / 6;
+                            if (!isNaN(v)) frameValues.push(v);
+                        }
+                        if (frameValues.length > 0) {
+                            let sum = 0;
+                            for (let j = 0; j < frameValues.length; j++) sum += frameValues[j];
+                            score = sum / frameValues.length;
+                        }
                     } else {
                         // Parse SSIM stats_file output
                         // Format: n:1 Y:0.9999 U:0.9999 V:0.9999 All:0.9999 (per frame)
@@ -2015,16 +2626,27 @@ function Script(
                 Logger.WLog(`Failed to read metric log file for sample ${t.sample.key}: ${e}`);
             }
 
+            try {
+                if (t.cambiLogFile && System.IO.File.Exists(t.cambiLogFile)) {
+                    cambi = parseCambiMean(System.IO.File.ReadAllText(t.cambiLogFile));
+                }
+            } catch (e) {
+                Logger.WLog(`Failed to read CAMBI log file for sample ${t.sample.key}: ${e}`);
+            }
+
             // Cleanup metric log file
-            cleanupFiles([t.metricLogFile]);
+            cleanupFiles([t.metricLogFile, t.cambiLogFile]);
 
             if (score !== null && !isNaN(score)) {
                 scores.push(score);
                 const scoreDisplay = metric === 'SSIM' ? score.toFixed(4) : score.toFixed(2);
-                Logger.DLog(`Sample ${t.id + 1} (${t.sample.key}): ${metric} ${scoreDisplay}`);
+                const cambiDisplay = cambi !== null ? `, CAMBI ${cambi.toFixed(2)}` : '';
+                Logger.DLog(`Sample ${t.id + 1} (${t.sample.key}): ${metric} ${scoreDisplay}${cambiDisplay}`);
             } else {
                 Logger.WLog(`Could not parse ${metric} score for sample ${t.sample.key}`);
             }
+            if (cambi !== null) cambiScores.push(cambi);
+            else if (maxCambi > 0) Logger.WLog(`Could not parse CAMBI score for sample ${t.sample.key}`);
         }
         cleanupFiles(validEncodedSamples);
 
@@ -2040,13 +2662,25 @@ function Script(
 
         const bitrate = totalEncodedSeconds > 0 ? totalEncodedBytes / totalEncodedSeconds : 0;
 
-        return { score: score, min: min, max: max, avg: avg, bitrate: bitrate };
+        // Banding shows in the worst sample, whatever the score aggregation
+        const cambi = cambiScores.length > 0 ? Math.max.apply(null, cambiScores) : null;
+
+        return { score: score, min: min, max: max, avg: avg, cambi: cambi, bitrate: bitrate };
+    }
+
+    /**
+     * Mean CAMBI score from a libvmaf JSON log ("pooled_metrics":{"cambi":{"min":X,"max":X,"mean":X,...}})
+     * @returns {number|null}
+     */
+    function parseCambiMean(logContent) {
+        const match = logContent.match(/"cambi"\s*:\s*\{[^}]*"mean"\s*:\s*([0-9]+(?:\.[0-9]+)?(?:e[-+]?[0-9]+)?)/i);
+        return match ? parseFloat(match[1]) : null;
     }
 
     function cleanupFiles(files) {
         for (const file of files) {
             try {
-                if (System.IO.File.Exists(file)) {
+                if (file && System.IO.File.Exists(file)) {
                     System.IO.File.Delete(file);
                 }
             } catch (e) {}
@@ -2245,23 +2879,36 @@ function Script(
 
         const targetStr = metric === 'SSIM' ? target.toFixed(4) : target.toFixed(2);
         const maxSize = parseInt(Variables.MaxFileSize || 0);
+        // Secondary metrics (gates) get a column when measured
+        const extraMetrics = [{ name: 'CAMBI', key: 'cambi' }].filter((m) =>
+            results.some((r) => typeof r[m.key] === 'number')
+        );
 
         Logger.ILog('');
         Logger.ILog('----------------------------------------------------------------------------------------');
         Logger.ILog(` Auto Quality Results (${metric})`);
         Logger.ILog(` Target: ${targetStr} (${ScoreAggregation})`);
+        if (maxCambi > 0) {
+            Logger.ILog(` Banding: CAMBI <= ${maxCambi} (worst sample)`);
+        }
         if (maxSize > 0) {
             Logger.ILog(` Max Size: ${helpers.bytesToGb(maxSize).toFixed(2)} GB`);
         }
         Logger.ILog('----------------------------------------------------------------------------------------');
-        Logger.ILog(' CRF  | Score      | Min        | Max        | Avg        | Diff       | Est. Size  | Status');
         Logger.ILog(
-            '------|------------|------------|------------|------------|------------|------------|--------------------'
+            ` CRF  | ${padRight(metric, 10)} | Min        | Max        | Avg        | Diff       | ` +
+                extraMetrics.map((m) => padRight(m.name, 10) + ' | ').join('') +
+                'Est. Size  | Status'
+        );
+        Logger.ILog(
+            '------|------------|------------|------------|------------|------------|' +
+                extraMetrics.map(() => '------------|').join('') +
+                '------------|--------------------'
         );
 
         for (const r of results) {
             const isBest = r.crf === bestCrf;
-            const meets = r.score >= target;
+            const meets = r.pass !== undefined ? r.pass : r.score >= target;
             const scoreStr = metric === 'SSIM' ? r.score.toFixed(4) : r.score.toFixed(2);
 
             const minVal = r.min !== undefined ? r.min : r.score;
@@ -2277,6 +2924,7 @@ function Script(
             let diffStr = diffSign + (metric === 'SSIM' ? diff.toFixed(4) : diff.toFixed(2));
 
             let status = meets ? 'Pass' : 'Fail';
+            if (r.failedGates && r.failedGates.length > 0) status += ' (' + r.failedGates.join(', ') + ')';
             if (isBest) status += ' (Selected)';
 
             const pCrf = padRight(r.crf, 4);
@@ -2285,9 +2933,14 @@ function Script(
             const pMax = padRight(maxStr, 10);
             const pAvg = padRight(avgStr, 10);
             const pDiff = padRight(diffStr, 10);
+            const pExtra = extraMetrics
+                .map((m) => padRight(typeof r[m.key] === 'number' ? r[m.key].toFixed(2) : '-', 10) + ' | ')
+                .join('');
             const pSize = padRight(r.size > 0 ? helpers.bytesToGb(r.size).toFixed(2) + ' GB' : '-', 10);
 
-            Logger.ILog(` ${pCrf} | ${pScore} | ${pMin} | ${pMax} | ${pAvg} | ${pDiff} | ${pSize} | ${status}`);
+            Logger.ILog(
+                ` ${pCrf} | ${pScore} | ${pMin} | ${pMax} | ${pAvg} | ${pDiff} | ${pExtra}${pSize} | ${status}`
+            );
         }
         Logger.ILog('========================================================================================');
         Logger.ILog('');
@@ -4,7 +4,7 @@ import { FfmpegHelpers } from 'Shared/FfmpegHelpers';
 /**
  * @description Apply intelligent video filters based on content type, year, and genre to improve compression while maintaining quality. Preserves HDR10/DoVi color metadata.
  * @author Vincent Courcelle
- * @revision 44
+ * @revision 45
  * @param {int} NoiseRetention How much noise/grain to keep (1=aggressive denoise, 10=keep all noise). Lower values = more denoise = better compression. Animation can tolerate lower values. Default: 3. Override variable key(s): `NoiseRetention`, `CleaningFilters.NoiseRetention`.
  * @param {bool} SkipDenoise Skip all denoising filters entirely (overrides NoiseRetention). Override variable key: `SkipDenoise`.
  * @param {bool} AggressiveCompression Enable aggressive compression for old/restored content (stronger denoise, auto-enabled for pre-1990 content). Override variable key: `AggressiveCompression`.
@@ -757,8 +757,10 @@ function Script(
 
     const workingFile = (fileVar && fileVar.FullName) || Flow.WorkingFile;
     const filenameYear = extractYearFromFilename(workingFile);
-    const year = (videoMetadata && videoMetadata.Year) || filenameYear || 2012;
-    if (!(videoMetadata && videoMetadata.Year) && filenameYear) {
+    // TV episodes carry their own air year (a 2019 episode of a 1999 show is not 1999 footage)
+    const metadataYear = videoMetadata && (videoMetadata.AirYear || videoMetadata.Year);
+    const year = metadataYear || filenameYear || 2012;
+    if (!metadataYear && filenameYear) {
         Logger.ILog(`Year extracted from filename: ${filenameYear}`);
     }
     const genres = toEnumerableArray(videoMetadata && videoMetadata.Genres, 100);
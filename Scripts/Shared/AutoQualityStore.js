@@ -0,0 +1,302 @@
+/**
+ * @name AutoQualityStore
+ * @uid 5B7E2C94-1A6F-4D38-9C0B-E3F8A2D61B75
+ * @description JSON store of Auto Quality results (reused when a flow is retried), per-title CRF overrides and the
+ * history of chosen CRFs used to predict the next ones
+ * @author Vincent Courcelle
+ * @revision 7
+ * @minimumVersion 1.0.0.0
+ */
+export class AutoQualityStore {
+    /**
+     * @param {string} directory Store folder; defaults to `Variables.AutoQuality_StoreDir` or `<temp>/fileflows-autoquality`
+     */
+    constructor(directory) {
+        this.Directory =
+            directory ||
+            Variables.AutoQuality_StoreDir ||
+            System.IO.Path.Combine(System.IO.Path.GetTempPath(), 'fileflows-autoquality');
+        this.ResultsFile = System.IO.Path.Combine(this.Directory, 'results.json');
+        this.OverridesFile = System.IO.Path.Combine(this.Directory, 'overrides.json');
+        this.HistoryFile = System.IO.Path.Combine(this.Directory, 'history.json');
+        this.MaxHistory = 5000;
+        this.MaxResults = 5000;
+    }
+
+    /**
+     * @returns {Object|null} The parsed file, {} when it doesn't exist, null when it can't be read or parsed
+     * (e.g. truncated): callers must not rewrite it then, or every entry would be lost
+     */
+    readJson(file) {
+        try {
+            if (!System.IO.File.Exists(file)) return {};
+            return JSON.parse(System.IO.File.ReadAllText(file)) || {};
+        } catch (err) {
+            Logger.WLog('Unable to read Auto Quality store ' + file + ': ' + err);
+            return null;
+        }
+    }
+
+    /**
+     * Writes to a temporary file in the same folder then moves it over the target, so concurrent runners never
+     * read a partially written file. Use update to change a file other runners may be writing too.
+     */
+    writeJson(file, data) {
+        const temp = file + '.' + System.Guid.NewGuid().ToString('N') + '.tmp';
+        try {
+            System.IO.Directory.CreateDirectory(this.Directory);
+            System.IO.File.WriteAllText(temp, JSON.stringify(data, null, 2));
+            System.IO.File.Move(temp, file, true);
+        } catch (err) {
+            Logger.WLog('Unable to write Auto Quality store ' + file + ': ' + err);
+            try {
+                if (System.IO.File.Exists(temp)) System.IO.File.Delete(temp);
+            } catch (e) {}
+        }
+    }
+
+    /**
+     * Read-modify-write of a store file under an exclusive lock on `<file>.lock`, so runners sharing the store
+     * don't overwrite each other's entries. The operating system releases the lock if the runner dies.
+     * @param {string} file Store file
+     * @param {Function} change Called with the parsed file; returns the data to write, or null to leave it as is
+     * @returns {boolean} Whether the file was written
+     */
+    update(file, change) {
+        let lock = null;
+        const deadline = Date.now() + 30000;
+        while (!lock) {
+            try {
+                System.IO.Directory.CreateDirectory(this.Directory);
+                lock = new System.IO.FileStream(
+                    file + '.lock',
+                    System.IO.FileMode.OpenOrCreate,
+                    System.IO.FileAccess.ReadWrite,
+                    System.IO.FileShare.None
+                );
+            } catch (err) {
+                if (Date.now() > deadline) {
+                    Logger.WLog('Auto Quality store ' + file + ' stayed locked, not updated: ' + err);
+                    return false;
+                }
+                System.Threading.Thread.Sleep(100);
+            }
+        }
+        try {
+            const data = change(this.readJson(file));
+            if (!data) return false;
+            this.writeJson(file, data);
+            return true;
+        } finally {
+            try {
+                lock.Dispose();
+            } catch (err) {}
+        }
+    }
+
+    /**
+     * Identifies a source file without reading all of it: SHA-256 of its first and last MiB plus its size.
+     * Falls back to size and modification time when the file can't be read that way.
+     * @param {string} path
+     * @returns {string|null}
+     */
+    getFingerprint(path) {
+        let info;
+        try {
+            info = new System.IO.FileInfo(path);
+            if (!info.Exists) return null;
+        } catch (err) {
+            return null;
+        }
+
+        const size = Number(info.Length);
+        let stream = null;
+        try {
+            const chunk = Math.min(size, 1048576);
+            const buffer = System.Array.CreateInstance(System.Type.GetType('System.Byte'), chunk * 2);
+            stream = System.IO.File.OpenRead(path);
+            let read = stream.Read(buffer, 0, chunk);
+            stream.Seek(Math.max(0, size - chunk), System.IO.SeekOrigin.Begin);
+            read += stream.Read(buffer, chunk, chunk);
+            const digest = System.Security.Cryptography.SHA256.Create().ComputeHash(buffer, 0, read);
+            return 'sha256:' + System.BitConverter.ToString(digest).replace(/-/g, '').toLowerCase() + ':' + size;
+        } catch (err) {
+            Logger.DLog('Auto Quality store: hashing ' + path + ' failed, using size and date: ' + err);
+            return 'mtime:' + info.LastWriteTimeUtc.Ticks + ':' + size;
+        } finally {
+            if (stream) {
+                try {
+                    stream.Dispose();
+                } catch (err) {}
+            }
+        }
+    }
+
+    /**
+     * Builds the key of a result: the source fingerprint and every setting that changes the outcome
+     * @param {Object} parts { source, encoder, preset, filters, ... }
+     * @returns {string}
+     */
+    buildKey(parts) {
+        const names = Object.keys(parts).sort();
+        return names.map((name) => name + '=' + (parts[name] === undefined ? '' : parts[name])).join('|');
+    }
+
+    /**
+     * @param {string} key Entry key (buildKey)
+     * @returns {Object|null} { crf, decision, score, metric, target, results, file, time }
+     */
+    findResult(key) {
+        const entry = (this.readJson(this.ResultsFile) || {})[key];
+        return entry && entry.decision ? entry : null;
+    }
+
+    /**
+     * Records the outcome of a search; the oldest entries go past MaxResults
+     * @param {string} key Entry key (buildKey)
+     * @param {Object} entry { crf, decision ('encode' or 'copy'), score, metric, target, results, file }
+     */
+    saveResult(key, entry) {
+        entry.time = new Date().toISOString();
+        this.update(this.ResultsFile, (store) => {
+            if (!store) {
+                Logger.WLog('Auto Quality result not saved: ' + this.ResultsFile + ' is unreadable');
+                return null;
+            }
+            store[key] = entry;
+
+            const keys = Object.keys(store);
+            if (keys.length > this.MaxResults) {
+                keys.sort((a, b) => String(store[a].time || '').localeCompare(String(store[b].time || '')));
+                for (let i = 0; i < keys.length - this.MaxResults; i++) delete store[keys[i]];
+            }
+            return store;
+        });
+    }
+
+    /**
+     * @returns {Array|null} History entries, null when history.json can't be read or parsed
+     */
+    readHistory() {
+        const history = this.readJson(this.HistoryFile);
+        if (!history) return null;
+        return Array.isArray(history) ? history : [];
+    }
+
+    /**
+     * Appends a searched CRF to history.json (the oldest entries go past MaxHistory). Skipped when the file is
+     * unreadable, rather than replacing the learned entries with this one.
+     * @param {Object} record Features (see distance) plus { crf, predicted }
+     */
+    addHistory(record) {
+        record.time = new Date().toISOString();
+        this.update(this.HistoryFile, (history) => {
+            if (!history) {
+                Logger.WLog('CRF history not updated: ' + this.HistoryFile + ' is unreadable');
+                return null;
+            }
+            if (!Array.isArray(history)) history = [];
+            history.push(record);
+            return history.slice(-this.MaxHistory);
+        });
+    }
+
+    /**
+     * How different two encodes are, roughly in "CRF-relevant steps": height and bitrate ratios (log2), source
+     * codec, year, genres, noise score and preset. The width is recorded but not compared: sources of the same height
+     * only differ by their aspect ratio. Unknown values cost a fixed half step.
+     * @param {Object} a { height, sourceCodec, bitrate, year, genres, noise, preset }
+     * @param {Object} b Same shape
+     * @returns {number}
+     */
+    distance(a, b) {
+        const log2Ratio = (x, y) => (x > 0 && y > 0 ? Math.abs(Math.log(x / y) / Math.LN2) : 0.5);
+        let d = 2 * log2Ratio(a.height, b.height);
+        d += log2Ratio(a.bitrate, b.bitrate);
+        if (a.sourceCodec !== b.sourceCodec) d += 1;
+        if (a.preset !== b.preset) d += 0.5;
+        d += a.year && b.year ? Math.min(Math.abs(a.year - b.year) / 10, 1.5) : 0.5;
+
+        const ga = a.genres || [];
+        const gb = b.genres || [];
+        if (ga.length && gb.length) {
+            const common = ga.filter((g) => gb.indexOf(g) !== -1).length;
+            d += 1 - common / (ga.length + gb.length - common);
+        } else {
+            d += 0.5;
+        }
+
+        const hasNoise = (x) => typeof x === 'number' && !isNaN(x);
+        d += hasNoise(a.noise) && hasNoise(b.noise) ? Math.min(Math.abs(a.noise - b.noise) / 1.5, 2) : 0.5;
+        return d;
+    }
+
+    /**
+     * Predicts the CRF of an encode from the nearest past ones with the same encoder, metric, target and banding
+     * gate (distance-weighted average of up to 10 neighbours within distance 3)
+     * @param {Object} features { width, height, sourceCodec, bitrate, year, genres, noise, encoder, preset, metric, target,
+     * maxCambi }
+     * @returns {Object|null} { crf, spread, count, close, confident }, null with fewer than 3 neighbours
+     */
+    predictCrf(features) {
+        const neighbours = (this.readHistory() || [])
+            .filter(
+                (r) =>
+                    r.encoder === features.encoder &&
+                    r.metric === features.metric &&
+                    Math.round(r.target) === Math.round(features.target) &&
+                    (r.maxCambi || 0) === (features.maxCambi || 0) &&
+                    typeof r.crf === 'number'
+            )
+            .map((r) => ({ crf: r.crf, d: this.distance(features, r) }))
+            .filter((n) => n.d <= 3)
+            .sort((x, y) => x.d - y.d)
+            .slice(0, 10);
+        if (neighbours.length < 3) return null;
+
+        let sumW = 0;
+        let sumCrf = 0;
+        for (let i = 0; i < neighbours.length; i++) {
+            const w = 1 / (neighbours[i].d + 0.25);
+            sumW += w;
+            sumCrf += w * neighbours[i].crf;
+        }
+        const crf = sumCrf / sumW;
+        let variance = 0;
+        for (let i = 0; i < neighbours.length; i++) {
+            const w = 1 / (neighbours[i].d + 0.25);
+            variance += w * (neighbours[i].crf - crf) * (neighbours[i].crf - crf);
+        }
+        const spread = Math.sqrt(variance / sumW);
+        const close = neighbours.filter((n) => n.d <= 1.5).length;
+        return {
+            crf: crf,
+            spread: spread,
+            count: neighbours.length,
+            close: close,
+            confident: close >= 5 && spread <= 1
+        };
+    }
+
+    /**
+     * Looks up a manual CRF in overrides.json, a map of title (e.g. "The Matrix (1999)", "The Matrix", a series
+     * title) or source file name to a CRF. Names are compared case-insensitively.
+     * @param {Array} names Candidate names, most specific first
+     * @returns {Object|null} { name, crf }
+     */
+    findOverride(names) {
+        const overrides = this.readJson(this.OverridesFile) || {};
+        const byName = {};
+        for (const name in overrides) {
+            if (Object.prototype.hasOwnProperty.call(overrides, name))
+                byName[name.trim().toLowerCase()] = overrides[name];
+        }
+        for (let i = 0; i < names.length; i++) {
+            if (!names[i]) continue;
+            const value = byName[String(names[i]).trim().toLowerCase()];
+            const crf = parseInt(value && value.crf !== undefined ? value.crf : value, 10);
+            if (!isNaN(crf)) return { name: names[i], crf: crf };
+        }
+        return null;
+    }
+}
@@ -0,0 +1,107 @@
+import { ServiceApi } from 'Shared/ServiceApi';
+
+/**
+ * @name BazarrVc
+ * @uid 2D7F5B3E-8A19-4C6D-B0E4-9F1A3C5E7B28
+ * @description Class that interacts with Bazarr (subtitles of Radarr movies and Sonarr episodes)
+ * @author Vincent Courcelle
+ * @revision 2
+ * @minimumVersion 1.0.0.0
+ */
+export class BazarrVc extends ServiceApi {
+    constructor(BaseUrl, ApiKey) {
+        super(BaseUrl, ApiKey, 'Bazarr');
+        this.ApiKeyHeader = 'X-API-KEY';
+    }
+
+    getApiRoot() {
+        return this.BaseUrl + '/api/';
+    }
+
+    /**
+     * Bazarr reads its flags as the strings "True"/"False"
+     */
+    toFlag(value) {
+        return value ? 'True' : 'False';
+    }
+
+    getMovie(radarrId) {
+        const json = this.fetchJson('movies', this.buildQueryParams({ 'radarrid[]': radarrId }));
+        const movie = json && json.data && json.data.length ? json.data[0] : null;
+        if (movie) Logger.ILog('Found Bazarr movie: ' + movie.title);
+        return movie;
+    }
+
+    /**
+     * Lists some episodes by Sonarr episode id. Never queries a whole series: callers act on every episode returned.
+     * @param {Array} episodeIds Sonarr episode ids
+     * @returns {Array} Bazarr episodes (empty without ids)
+     */
+    getEpisodes(episodeIds) {
+        if (!episodeIds || !episodeIds.length) return [];
+        const query = episodeIds.map((id) => this.buildQueryParams({ 'episodeid[]': id })).join('&');
+        const json = this.fetchJson('episodes', query);
+        return json && json.data ? json.data : [];
+    }
+
+    /**
+     * Makes Bazarr re-index the subtitles on disk, so it sees the new video file
+     * @param {string} type movie or episode
+     * @param {number} id Radarr movie id or Sonarr series id
+     * @returns {boolean}
+     */
+    scanDisk(type, id) {
+        const params = type === 'movie' ? { radarrid: id } : { seriesid: id };
+        params.action = 'scan-disk';
+        return !!this.patchJson(type === 'movie' ? 'movies' : 'series', {}, this.buildQueryParams(params));
+    }
+
+    /**
+     * Re-syncs an external subtitle against the audio of its video
+     * @param {string} type movie or episode
+     * @param {number} id Radarr movie id or Sonarr episode id
+     * @param {Object} subtitle Bazarr subtitle ({ code2, path, forced, hi })
+     * @returns {boolean}
+     */
+    syncSubtitle(type, id, subtitle) {
+        const response = this.patchJson(
+            'subtitles',
+            {},
+            this.buildQueryParams({
+                action: 'sync',
+                language: subtitle.code2,
+                path: subtitle.path,
+                type: type,
+                id: id,
+                forced: this.toFlag(subtitle.forced),
+                hi: this.toFlag(subtitle.hi)
+            })
+        );
+        if (response) Logger.ILog('Bazarr synced ' + subtitle.path);
+        return !!response;
+    }
+
+    /**
+     * Searches and downloads a subtitle again for the same language/flags
+     * @param {string} type movie or episode
+     * @param {Object} item Bazarr movie ({ radarrId }) or episode ({ sonarrSeriesId, sonarrEpisodeId })
+     * @param {Object} subtitle Bazarr subtitle ({ code2, forced, hi })
+     * @returns {boolean}
+     */
+    downloadSubtitle(type, item, subtitle) {
+        const params =
+            type === 'movie'
+                ? { radarrid: item.radarrId }
+                : { seriesid: item.sonarrSeriesId, episodeid: item.sonarrEpisodeId };
+        params.language = subtitle.code2;
+        params.forced = this.toFlag(subtitle.forced);
+        params.hi = this.toFlag(subtitle.hi);
+        const response = this.patchJson(
+            type === 'movie' ? 'movies/subtitles' : 'episodes/subtitles',
+            {},
+            this.buildQueryParams(params)
+        );
+        if (response) Logger.ILog('Bazarr downloaded ' + subtitle.code2 + ' subtitles again');
+        return !!response;
+    }
+}
@@ -0,0 +1,139 @@
+import { ServiceApi } from 'Shared/ServiceApi';
+
+/**
+ * @name JellyfinVc
+ * @uid 9C2E4A71-0B5D-4E8F-A6C3-7D1F2B9E5A40
+ * @description Class that interacts with Jellyfin or Emby (library item lookup and refresh)
+ * @author Vincent Courcelle
+ * @revision 2
+ * @minimumVersion 1.0.0.0
+ */
+export class JellyfinVc extends ServiceApi {
+    constructor(BaseUrl, ApiKey) {
+        super(BaseUrl, ApiKey, 'Jellyfin');
+        // Emby only understands X-Emby-Token; Jellyfin prefers the Authorization header
+        this.ServerType = String(Variables['Jellyfin.ServerType'] || 'jellyfin').toLowerCase();
+        this.ApiKeyHeader = this.ServerType === 'emby' ? 'X-Emby-Token' : 'Authorization';
+    }
+
+    getApiRoot() {
+        return this.BaseUrl + '/';
+    }
+
+    getApiKeyHeaderValue() {
+        return this.ServerType === 'emby' ? this.ApiKey : 'MediaBrowser Token="' + this.ApiKey + '"';
+    }
+
+    getStatusEndpoint() {
+        return 'System/Info';
+    }
+
+    readStatusVersion(json) {
+        return json && json.Version ? String(json.Version) : null;
+    }
+
+    /**
+     * Folders of every library, as the server sees them
+     * @returns {Array} Paths
+     */
+    getRootFolders() {
+        if (this.RootFolders) return this.RootFolders;
+        const libraries = this.fetchJsonCached('Library/VirtualFolders') || [];
+        const folders = [];
+        for (let i = 0; i < libraries.length; i++) {
+            const locations = libraries[i].Locations || [];
+            for (let j = 0; j < locations.length; j++) folders.push(locations[j]);
+        }
+        return folders;
+    }
+
+    getItemQuery(extraParams) {
+        const params = {
+            Recursive: true,
+            Fields: 'Path',
+            IncludeItemTypes: 'Movie,Episode,Video,MusicVideo'
+        };
+        for (const key in extraParams) {
+            if (Object.prototype.hasOwnProperty.call(extraParams, key)) params[key] = extraParams[key];
+        }
+        return this.buildQueryParams(params);
+    }
+
+    findItemWithPath(items, path) {
+        const cp = this.normalizePath(path);
+        for (let i = 0; i < items.length; i++) {
+            const x = items[i];
+            if (x.Path && this.normalizePath(this.toLocalPath(x.Path)) === cp) {
+                Logger.ILog('Found ' + this.ServiceName + ' item: ' + x.Name + ' (' + x.Id + ')');
+                return x;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Lists every video item of the library ({ Id, Name, Type, Path }), paging through /Items
+     * @returns {Array}
+     */
+    getAllItems() {
+        return this.getCached('items-index', () => {
+            const items = [];
+            const pageSize = 1000;
+            let start = 0;
+            while (true) {
+                const json = this.fetchJson('Items', this.getItemQuery({ StartIndex: start, Limit: pageSize }));
+                if (!json || !json.Items) return items.length ? items : null;
+                for (let i = 0; i < json.Items.length; i++) {
+                    const x = json.Items[i];
+                    items.push({ Id: x.Id, Name: x.Name, Type: x.Type, Path: x.Path });
+                }
+                start += json.Items.length;
+                if (json.Items.length < pageSize || start >= (json.TotalRecordCount || 0)) break;
+            }
+            Logger.ILog('Number of ' + this.ServiceName + ' items found: ' + items.length);
+            return items;
+        });
+    }
+
+    /**
+     * Finds the library item of a file: through a name search first (cheap), then the whole library
+     * @param {string} path FileFlows path of the file
+     * @param {string} searchTerm Optional title to search for (e.g. Variables.VideoMetadata.Title)
+     * @returns {Object|null} { Id, Name, Type, Path }
+     */
+    getItemByPath(path, searchTerm) {
+        if (!path) return null;
+        if (searchTerm) {
+            const json = this.fetchJson('Items', this.getItemQuery({ SearchTerm: searchTerm }));
+            const item = json && json.Items ? this.findItemWithPath(json.Items, path) : null;
+            if (item) return item;
+        }
+        return this.findItemWithPath(this.getAllItems() || [], path);
+    }
+
+    refreshItem(itemId) {
+        const query = this.buildQueryParams({
+            metadataRefreshMode: 'Default',
+            imageRefreshMode: 'Default',
+            replaceAllMetadata: false,
+            replaceAllImages: false
+        });
+        const response = this.postJson('Items/' + itemId + '/Refresh', {}, query);
+        if (response) Logger.ILog('Refresh requested for ' + this.ServiceName + ' item ' + itemId);
+        return !!response;
+    }
+
+    /**
+     * Tells the server a path changed so it rescans just that file/folder (what the Arr connections use)
+     * @param {string} path FileFlows path of the file or folder
+     * @returns {boolean}
+     */
+    notifyPathUpdated(path) {
+        const servicePath = this.toServicePath(path);
+        const response = this.postJson('Library/Media/Updated', {
+            Updates: [{ Path: servicePath, UpdateType: 'Modified' }]
+        });
+        if (response) Logger.ILog(this.ServiceName + ' scan requested for ' + servicePath);
+        return !!response;
+    }
+}
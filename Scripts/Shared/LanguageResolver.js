@@ -0,0 +1,191 @@
+import { ScriptHelpers } from 'Shared/ScriptHelpers';
+
+/**
+ * @name LanguageResolver
+ * @uid 3E8B6F1A-7C24-4D9E-B5A3-0F6D2C8E9A17
+ * @description Resolves the original language of a title through a configurable chain of sources
+ * @author Vincent Courcelle
+ * @revision 2
+ * @minimumVersion 1.0.0.0
+ */
+export class LanguageResolver {
+    /**
+     * @param {string} order Comma-separated source order; defaults to `Variables['LanguageResolver.Order']`
+     *                       or `arr,metadata-cache,nfo,heuristics`
+     */
+    constructor(order) {
+        this.helpers = new ScriptHelpers();
+        this.Order = String(order || Variables['LanguageResolver.Order'] || 'arr,metadata-cache,nfo,heuristics')
+            .split(',')
+            .map((s) => s.trim().toLowerCase())
+            .filter((s) => !!s);
+        this.CacheFile =
+            Variables['LanguageResolver.CacheFile'] ||
+            System.IO.Path.Combine(System.IO.Path.GetTempPath(), 'fileflows-arr-cache', 'original-languages.json');
+
+        this.Sources = {};
+        this.register('metadata-cache', (context) => this.fromMetadataCache(context));
+        this.register('nfo', (context) => this.fromNfo(context));
+        this.register('heuristics', (context) => this.fromHeuristics(context));
+    }
+
+    /**
+     * Registers (or replaces) a source
+     * @param {string} name Source name, as used in the order list
+     * @param {Function} resolver (context) => language name/code or null
+     */
+    register(name, resolver) {
+        this.Sources[String(name).toLowerCase()] = resolver;
+    }
+
+    /**
+     * Runs the sources in order and returns the first answer.
+     * Answers from sources other than the cache and heuristics are remembered in the cache file by ID.
+     * @param {Object} context { ids: { tvdb, tmdb, imdb }, path, genres, audioLanguages }
+     * @returns {Object|null} { language, source }
+     */
+    resolve(context) {
+        const ctx = context || {};
+        for (let i = 0; i < this.Order.length; i++) {
+            const name = this.Order[i];
+            const source = this.Sources[name];
+            if (!source) continue;
+
+            let language = null;
+            try {
+                language = source(ctx);
+            } catch (err) {
+                Logger.WLog('Original language source ' + name + ' failed: ' + err);
+            }
+            if (!language) continue;
+
+            language = String(language).trim();
+            Logger.ILog('Original language resolved from ' + name + ': ' + language);
+            Variables['LanguageResolver.Source'] = name;
+            if (name !== 'metadata-cache' && name !== 'heuristics') this.storeInMetadataCache(ctx, language);
+            return { language: language, source: name };
+        }
+
+        Variables['LanguageResolver.Source'] = 'none';
+        Logger.WLog('Original language could not be resolved (tried: ' + this.Order.join(', ') + ')');
+        return null;
+    }
+
+    getCacheKeys(context) {
+        const ids = context.ids || {};
+        const keys = [];
+        if (ids.tvdb) keys.push('tvdb:' + ids.tvdb);
+        if (ids.tmdb) keys.push('tmdb:' + ids.tmdb);
+        if (ids.imdb) keys.push('imdb:' + ids.imdb);
+        return keys;
+    }
+
+    readMetadataCache() {
+        try {
+            if (!System.IO.File.Exists(this.CacheFile)) return {};
+            return JSON.parse(System.IO.File.ReadAllText(this.CacheFile)) || {};
+        } catch (err) {
+            Logger.WLog('Unable to read original language cache ' + this.CacheFile + ': ' + err);
+            return {};
+        }
+    }
+
+    fromMetadataCache(context) {
+        const keys = this.getCacheKeys(context);
+        if (!keys.length) return null;
+        const cache = this.readMetadataCache();
+        for (let i = 0; i < keys.length; i++) {
+            if (cache[keys[i]]) return cache[keys[i]];
+        }
+        return null;
+    }
+
+    storeInMetadataCache(context, language) {
+        const keys = this.getCacheKeys(context);
+        if (!keys.length) return;
+        try {
+            const cache = this.readMetadataCache();
+            for (let i = 0; i < keys.length; i++) {
+                cache[keys[i]] = language;
+            }
+            System.IO.Directory.CreateDirectory(System.IO.Path.GetDirectoryName(this.CacheFile));
+            System.IO.File.WriteAllText(this.CacheFile, JSON.stringify(cache));
+        } catch (err) {
+            Logger.WLog('Unable to write original language cache ' + this.CacheFile + ': ' + err);
+        }
+    }
+
+    /**
+     * Candidate NFO files for a media file: `<name>.nfo`, `movie.nfo`, then `tvshow.nfo` up to two folders up
+     * @param {string} path Media file path
+     * @returns {Array} NFO paths
+     */
+    getNfoCandidates(path) {
+        if (!path) return [];
+        const dir = System.IO.Path.GetDirectoryName(path);
+        if (!dir) return [];
+        const candidates = [
+            System.IO.Path.Combine(dir, System.IO.Path.GetFileNameWithoutExtension(path) + '.nfo'),
+            System.IO.Path.Combine(dir, 'movie.nfo'),
+            System.IO.Path.Combine(dir, 'tvshow.nfo')
+        ];
+        let parent = System.IO.Path.GetDirectoryName(dir);
+        for (let i = 0; i < 2 && parent; i++) {
+            candidates.push(System.IO.Path.Combine(parent, 'tvshow.nfo'));
+            parent = System.IO.Path.GetDirectoryName(parent);
+        }
+        return candidates;
+    }
+
+    /**
+     * Language tags of the NFO candidates; `<fileinfo>` is skipped, its `<language>` tags are the audio/subtitle
+     * tracks of the file (e.g. a dub), not the original language
+     * @param {Object} context
+     * @returns {string|null}
+     */
+    fromNfo(context) {
+        const candidates = this.getNfoCandidates(context.path);
+        const tags = ['originallanguage', 'original_language', 'languages', 'language'];
+        for (let i = 0; i < candidates.length; i++) {
+            let xml = '';
+            try {
+                if (!System.IO.File.Exists(candidates[i])) continue;
+                xml = System.IO.File.ReadAllText(candidates[i]).replace(/<fileinfo\b[\s\S]*?<\/fileinfo>/gi, '');
+            } catch (err) {
+                continue;
+            }
+            for (let j = 0; j < tags.length; j++) {
+                const m = xml.match(new RegExp('<' + tags[j] + '>\\s*([^<]+?)\\s*</' + tags[j] + '>', 'i'));
+                if (m && m[1]) {
+                    Logger.ILog('Original language found in ' + candidates[i] + ' <' + tags[j] + '>');
+                    return m[1].split(/[,/|]/)[0].trim();
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Weak guesses: anime genre means Japanese; a single tagged audio language is likely the original
+     * @param {Object} context
+     * @returns {string|null}
+     */
+    fromHeuristics(context) {
+        const genres = this.helpers.toEnumerableArray(context.genres, 50).map((g) => String(g).toLowerCase());
+        if (genres.indexOf('anime') !== -1) return 'jpn';
+
+        let audioLanguages = context.audioLanguages;
+        if (!audioLanguages) {
+            const vi = Variables.vi && Variables.vi.VideoInfo;
+            const streams = this.helpers.toEnumerableArray(vi && vi.AudioStreams, 50);
+            audioLanguages = streams.map((s) => s && s.Language);
+        }
+        const distinct = [];
+        for (let i = 0; i < audioLanguages.length; i++) {
+            const lang = String(audioLanguages[i] || '').toLowerCase();
+            if (!lang || lang === 'und' || distinct.indexOf(lang) !== -1) continue;
+            distinct.push(lang);
+        }
+        return distinct.length === 1 ? distinct[0] : null;
+    }
+}
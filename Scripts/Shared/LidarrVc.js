@@ -0,0 +1,177 @@
+import { ServiceApi } from 'Shared/ServiceApi';
+import { TitleMatcher } from 'Shared/TitleMatcher';
+
+/**
+ * @name LidarrVc
+ * @uid 5B1D7C42-9E3A-4F6B-A2D8-3C7E0F91B4A6
+ * @description Class that interacts with Lidarr (API v1)
+ * @author Vincent Courcelle
+ * @revision 4
+ * @minimumVersion 1.0.0.0
+ */
+export class LidarrVc extends ServiceApi {
+    constructor(BaseUrl, ApiKey) {
+        super(BaseUrl, ApiKey, 'Lidarr', 'v1');
+    }
+
+    getAllArtists() {
+        const artists = this.fetchJsonCached('artist');
+        if (!artists || !artists.length) {
+            Logger.WLog('No artists found');
+            return [];
+        }
+        return artists;
+    }
+
+    /**
+     * Finds the artist whose root folder contains the given file/folder path
+     * @param {string} path Full path of a file or folder
+     * @returns {Object|null} Lidarr artist
+     */
+    getArtistByPath(path) {
+        if (!path) return null;
+        const cp = this.normalizePath(path);
+        const artists = this.getAllArtists();
+        for (let i = 0; i < artists.length; i++) {
+            const x = artists[i];
+            const ap = this.normalizePath(this.toLocalPath(x.path));
+            if (ap && (cp === ap || cp.indexOf(ap + '/') === 0)) {
+                Logger.ILog('Found artist: ' + x.artistName);
+                return x;
+            }
+        }
+        return null;
+    }
+
+    getAlbum(albumId) {
+        return this.fetchJson('album/' + albumId);
+    }
+
+    getAlbumsForArtist(artistId) {
+        const albums = this.fetchJson('album', 'artistId=' + artistId);
+        return albums && albums.length ? albums : [];
+    }
+
+    getTrackFilesForArtist(artistId) {
+        const files = this.fetchJson('trackfile', 'artistId=' + artistId);
+        return files && files.length ? files : [];
+    }
+
+    /**
+     * Finds the album a file belongs to: first through the artist's track files, then by an album title equal to
+     * the file's parent folder name (normalized, see TitleMatcher; a year in the folder name must match too)
+     * @param {string} filePath Full path of the file
+     * @returns {Object|null} Lidarr album (with `artist` populated)
+     */
+    getAlbumByFilePath(filePath) {
+        if (!filePath) return null;
+        const artist = this.getArtistByPath(filePath);
+        if (!artist) return null;
+
+        const cp = this.normalizePath(filePath);
+        const files = this.getTrackFilesForArtist(artist.id);
+        for (let i = 0; i < files.length; i++) {
+            const x = files[i];
+            if (x.albumId && this.pathEndsWith(x.path, cp)) {
+                const album = this.getAlbum(x.albumId);
+                if (album) {
+                    album.artist = album.artist || artist;
+                    Logger.ILog('Found album from track file: ' + album.title);
+                    return album;
+                }
+            }
+        }
+
+        const parts = cp.split('/');
+        const folderName = parts.length > 1 ? parts[parts.length - 2] : '';
+        if (!folderName) return null;
+        const matcher = new TitleMatcher();
+        const folder = matcher.parseName(folderName);
+        const folderTitle = matcher.normalizeTitle(folder.title);
+        const albums = this.getAlbumsForArtist(artist.id);
+        for (let i = 0; i < albums.length; i++) {
+            const x = albums[i];
+            const year = this.getReleaseYear(x);
+            if (folder.year && year && folder.year !== year) continue;
+            if (x.title && folderTitle && matcher.normalizeTitle(x.title) === folderTitle) {
+                x.artist = x.artist || artist;
+                Logger.ILog('Found album from folder name: ' + x.title);
+                return x;
+            }
+        }
+        return null;
+    }
+
+    searchInQueue(searchPattern) {
+        return this.searchApi(
+            'queue',
+            searchPattern,
+            (item, sp) => !!item.album && this.pathContains(item.outputPath, sp),
+            { includeArtist: true, includeAlbum: true },
+            (item) => {
+                Logger.ILog('Found Album in Queue: ' + item.album.title);
+                item.album.artist = item.album.artist || item.artist;
+                return item.album;
+            }
+        );
+    }
+
+    searchInDownloadHistory(searchPattern) {
+        return this.searchApi(
+            'history',
+            searchPattern,
+            (item, sp) => !!item.album && !!item.data && this.pathContains(item.data.droppedPath, sp),
+            { eventType: 3, includeArtist: true, includeAlbum: true },
+            (item) => {
+                Logger.ILog('Found Album in History: ' + item.album.title);
+                item.album.artist = item.album.artist || item.artist;
+                return item.album;
+            }
+        );
+    }
+
+    refreshArtist(artistId) {
+        // Older Lidarr builds read `artistId`, newer ones `artistIds`
+        return this.sendCommand('RefreshArtist', { artistId: artistId, artistIds: [artistId], isNewArtist: false });
+    }
+
+    /**
+     * Year of an album's release date, read from the date string (no time zone shift)
+     * @param {Object} album Lidarr album
+     * @returns {number|null}
+     */
+    getReleaseYear(album) {
+        const year = album && album.releaseDate ? parseInt(String(album.releaseDate).substring(0, 4), 10) : NaN;
+        return isNaN(year) ? null : year;
+    }
+
+    /**
+     * Updates the album metadata in the global variables based on the Lidarr album data
+     * @param {Object} album - Album object returned from Lidarr API (with `artist` populated)
+     */
+    updateMetadata(album) {
+        const artist = album.artist || {};
+        const releaseDate = album.releaseDate || null;
+        const year = this.getReleaseYear(album);
+
+        Variables['music.Artist'] = artist.artistName;
+        Variables['music.Album'] = album.title;
+        Variables['music.Year'] = year;
+        Variables['music.LidarrArtistId'] = album.artistId || artist.id;
+        Variables['music.LidarrAlbumId'] = album.id;
+        Variables.VideoMetadata = {
+            Title: album.title,
+            Description: album.overview || artist.overview,
+            Year: year,
+            ReleaseDate: releaseDate,
+            // Lidarr has no language data; leave it unset so track selection keeps its own fallbacks
+            OriginalLanguage: null,
+            Genres: album.genres && album.genres.length ? album.genres : artist.genres
+        };
+
+        Variables.AlbumInfo = album;
+
+        Logger.ILog('Detected VideoMetadata: ' + JSON.stringify(Variables.VideoMetadata));
+        Logger.ILog('Detected AlbumInfo: ' + JSON.stringify(Variables.AlbumInfo));
+    }
+}
@@ -0,0 +1,441 @@
+import { ScriptHelpers } from 'Shared/ScriptHelpers';
+import { FfmpegHelpers } from 'Shared/FfmpegHelpers';
+
+/**
+ * @name NfoHelpers
+ * @uid 4A9D6E28-1F3B-4C75-8D0A-6B2E9F7C3D14
+ * @description Builds and reads Kodi/Jellyfin NFO documents (movie, tvshow, episodedetails)
+ * @author Vincent Courcelle
+ * @revision 3
+ * @minimumVersion 1.0.0.0
+ */
+export class NfoHelpers {
+    constructor() {
+        this.helpers = new ScriptHelpers();
+        this.ffmpegHelpers = new FfmpegHelpers();
+    }
+
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * One `<name>value</name>` line, or an empty string when the value is unset
+     * @param {string} name Tag name
+     * @param {any} value Text value
+     * @param {number} depth Indentation level
+     * @param {string} attributes Optional raw attributes (e.g. `type="tmdb"`)
+     * @returns {string}
+     */
+    element(name, value, depth, attributes) {
+        if (value === undefined || value === null || value === '') return '';
+        const indent = new Array((depth || 0) + 1).join('    ');
+        const attrs = attributes ? ' ' + attributes : '';
+        return indent + '<' + name + attrs + '>' + this.escapeXml(value) + '</' + name + '>\n';
+    }
+
+    /**
+     * Kodi codec name of an encoder or FFmpeg codec (libx265 → hevc, libsvtav1 → av1, libopus → opus, ...)
+     * @param {string} codec
+     * @returns {string}
+     */
+    getNfoCodec(codec) {
+        const c = String(codec || '').toLowerCase();
+        if (!c) return '';
+        if (c.indexOf('265') >= 0 || c.indexOf('hevc') >= 0) return 'hevc';
+        if (c.indexOf('264') >= 0 || c.indexOf('avc') >= 0) return 'h264';
+        if (c.indexOf('av1') >= 0) return 'av1';
+        if (c.indexOf('vp9') >= 0) return 'vp9';
+        if (c.indexOf('opus') >= 0) return 'opus';
+        if (c.indexOf('fdk_aac') >= 0) return 'aac';
+        return c;
+    }
+
+    /**
+     * Size of a video after the scale/crop filters of the builder, applied in order. Sizes given as expressions
+     * (e.g. `min(1920,iw)`) can't be known before the encode: both sides are then null.
+     * @param {string} filters Filter chain(s) of the video stream
+     * @param {number} width Source width
+     * @param {number} height Source height
+     * @returns {Object} { width, height }
+     */
+    getFilteredSize(filters, width, height) {
+        let w = width || null;
+        let h = height || null;
+        const regex = /\b(scale|scale_[a-z0-9]+|zscale|libplacebo|vpp_qsv|crop)=([^,;\s]+)/gi;
+        let m;
+        while ((m = regex.exec(String(filters || ''))) !== null) {
+            const name = m[1].toLowerCase();
+            let nw = null;
+            let nh = null;
+            let position = 0;
+            const args = m[2].split(':');
+            for (let i = 0; i < args.length; i++) {
+                const eq = args[i].indexOf('=');
+                if (eq === -1) {
+                    // vpp_qsv has no positional size arguments
+                    if (name !== 'vpp_qsv' && position === 0) nw = args[i];
+                    else if (name !== 'vpp_qsv' && position === 1) nh = args[i];
+                    position++;
+                    continue;
+                }
+                const key = args[i].substring(0, eq).toLowerCase();
+                const value = args[i].substring(eq + 1);
+                if (key === 'w' || key === 'width' || key === 'out_w') nw = value;
+                else if (key === 'h' || key === 'height' || key === 'out_h') nh = value;
+            }
+            if (nw === null && nh === null) continue;
+
+            const size = (value) => {
+                const v = String(value)
+                    .replace(/^['"]|['"]$/g, '')
+                    .toLowerCase();
+                if (v === 'iw' || v === 'in_w') return { input: 'w' };
+                if (v === 'ih' || v === 'in_h') return { input: 'h' };
+                if (!/^-?\d+$/.test(v)) return null;
+                const n = parseInt(v, 10);
+                return n < 0 ? { keepAspect: -n } : n === 0 ? { input: null } : { value: n };
+            };
+            const sw = size(nw === null ? 'iw' : nw);
+            const sh = size(nh === null ? 'ih' : nh);
+            if (!sw || !sh || !w || !h) return { width: null, height: null };
+
+            const read = (x, own) => (x.value ? x.value : x.input === 'w' ? w : x.input === 'h' ? h : own);
+            let outW = sw.keepAspect ? null : read(sw, w);
+            let outH = sh.keepAspect ? null : read(sh, h);
+            if (outW === null && outH === null) {
+                outW = w;
+                outH = h;
+            } else if (outW === null) {
+                outW = Math.round((outH * w) / h / sw.keepAspect) * sw.keepAspect;
+            } else if (outH === null) {
+                outH = Math.round((outW * h) / w / sh.keepAspect) * sh.keepAspect;
+            }
+            w = outW;
+            h = outH;
+        }
+        return { width: w, height: h };
+    }
+
+    /**
+     * Describes the output streams of the FFmpeg Builder model: encoded video codec (or the source codec when copied),
+     * resolution after the builder's scale/crop filters, HDR type (none once a tonemap filter runs), and the
+     * audio/subtitle streams that are kept
+     * @param {Object} model Variables.FfmpegBuilderModel
+     * @returns {Object} { video: { codec, width, height, aspect, duration, hdrType }, audio: [], subtitles: [] }
+     */
+    getStreamDetails(model) {
+        const details = { video: null, audio: [], subtitles: [] };
+        if (!model) return details;
+
+        const videoStreams = this.helpers.toEnumerableArray(model.VideoStreams, 50).filter((s) => s && !s.Deleted);
+        const video = videoStreams.length ? videoStreams[0] : null;
+        if (video) {
+            const source = video.Stream || {};
+            const encoded = this.helpers.toEnumerableArray(video.EncodingParameters, 500).length > 0;
+            const metadata = this.helpers.getVideoMetadata();
+            const filters = [video.Filters, video.Filter, video.OptionalFilter]
+                .map((f) => this.helpers.asJoinedString(f))
+                .join(' ');
+            const size = this.getFilteredSize(
+                filters,
+                parseInt(source.Width, 10) || metadata.width,
+                parseInt(source.Height, 10) || metadata.height
+            );
+            const width = size.width;
+            const height = size.height;
+            // A tonemapped encode is SDR, whatever the source was
+            let hdrType = '';
+            if (!/tonemap/i.test(filters)) {
+                if (source.DolbyVision) hdrType = 'dolbyvision';
+                else if (source.HDR) hdrType = 'hdr10';
+            }
+            details.video = {
+                codec: this.getNfoCodec(encoded ? this.ffmpegHelpers.getTargetCodec(video) : source.Codec),
+                width: width || null,
+                height: height || null,
+                aspect: width && height ? (width / height).toFixed(2) : null,
+                duration: metadata.duration ? Math.round(metadata.duration) : null,
+                hdrType: hdrType
+            };
+        }
+
+        const audioStreams = this.helpers.toEnumerableArray(model.AudioStreams, 200).filter((s) => s && !s.Deleted);
+        for (let i = 0; i < audioStreams.length; i++) {
+            const a = audioStreams[i];
+            const source = a.Stream || {};
+            details.audio.push({
+                codec: this.getNfoCodec(a.Codec || source.Codec),
+                language: a.Language || source.Language || null,
+                channels: this.getChannelCount(a.Channels || source.Channels)
+            });
+        }
+
+        const subtitleStreams = this.helpers
+            .toEnumerableArray(model.SubtitleStreams, 200)
+            .filter((s) => s && !s.Deleted);
+        for (let i = 0; i < subtitleStreams.length; i++) {
+            const s = subtitleStreams[i];
+            details.subtitles.push({ language: s.Language || (s.Stream && s.Stream.Language) || null });
+        }
+        return details;
+    }
+
+    /**
+     * Channel count as Kodi expects it: FileFlows reports layouts (5.1, 7.1), NFOs the total (6, 8)
+     * @returns {number|null}
+     */
+    getChannelCount(channels) {
+        const n = parseFloat(channels);
+        if (isNaN(n) || n <= 0) return null;
+        return Math.floor(n) + Math.round((n % 1) * 10);
+    }
+
+    buildStreamDetails(details, depth) {
+        const d = depth || 0;
+        const pad = (n) => new Array(n + 1).join('    ');
+        let xml = pad(d) + '<fileinfo>\n' + pad(d + 1) + '<streamdetails>\n';
+        if (details.video) {
+            const v = details.video;
+            xml += pad(d + 2) + '<video>\n';
+            xml += this.element('codec', v.codec, d + 3);
+            xml += this.element('aspect', v.aspect, d + 3);
+            xml += this.element('width', v.width, d + 3);
+            xml += this.element('height', v.height, d + 3);
+            xml += this.element('durationinseconds', v.duration, d + 3);
+            xml += this.element('hdrtype', v.hdrType, d + 3);
+            xml += pad(d + 2) + '</video>\n';
+        }
+        for (let i = 0; i < details.audio.length; i++) {
+            const a = details.audio[i];
+            xml += pad(d + 2) + '<audio>\n';
+            xml += this.element('codec', a.codec, d + 3);
+            xml += this.element('language', a.language, d + 3);
+            xml += this.element('channels', a.channels, d + 3);
+            xml += pad(d + 2) + '</audio>\n';
+        }
+        for (let i = 0; i < details.subtitles.length; i++) {
+            xml += pad(d + 2) + '<subtitle>\n';
+            xml += this.element('language', details.subtitles[i].language, d + 3);
+            xml += pad(d + 2) + '</subtitle>\n';
+        }
+        xml += pad(d + 1) + '</streamdetails>\n' + pad(d) + '</fileinfo>\n';
+        return xml;
+    }
+
+    buildGenres(genres) {
+        return this.helpers
+            .toEnumerableArray(genres, 50)
+            .map((g) => this.element('genre', g, 1))
+            .join('');
+    }
+
+    /**
+     * Inner elements of a `<movie>` NFO, from the Radarr movie (Variables.MovieInfo) and Variables.VideoMetadata
+     * @returns {string}
+     */
+    buildMovieElements(movie, metadata, originalLanguage) {
+        const m = movie || {};
+        const md = metadata || {};
+        const premiered = m.inCinemas || m.digitalRelease || md.ReleaseDate || null;
+        let xml = '';
+        xml += this.element('title', m.title || md.Title, 1);
+        xml += this.element('originaltitle', m.originalTitle, 1);
+        xml += this.element('year', m.year || md.Year, 1);
+        xml += this.element('premiered', premiered ? String(premiered).substring(0, 10) : null, 1);
+        xml += this.element('plot', m.overview || md.Description, 1);
+        xml += this.element('runtime', m.runtime, 1);
+        xml += this.element('mpaa', m.certification, 1);
+        xml += this.buildGenres(m.genres || md.Genres);
+        xml += this.element('studio', m.studio, 1);
+        xml += this.element('uniqueid', m.tmdbId, 1, 'type="tmdb" default="true"');
+        xml += this.element('uniqueid', m.imdbId, 1, 'type="imdb"');
+        xml += this.element('originallanguage', originalLanguage, 1);
+        return xml;
+    }
+
+    /**
+     * Inner elements of an `<episodedetails>` NFO for one Sonarr episode of the series
+     * @returns {string}
+     */
+    buildEpisodeElements(series, episode, metadata, originalLanguage) {
+        const s = series || {};
+        const e = episode || {};
+        const md = metadata || {};
+        const aired = e.airDate || (e.airDateUtc ? String(e.airDateUtc).substring(0, 10) : null) || md.ReleaseDate;
+        let xml = '';
+        xml += this.element('title', e.title || md.EpisodeTitle, 1);
+        xml += this.element('showtitle', s.title || md.Title, 1);
+        xml += this.element('season', e.seasonNumber !== undefined ? e.seasonNumber : md.Season, 1);
+        xml += this.element('episode', e.episodeNumber !== undefined ? e.episodeNumber : md.Episode, 1);
+        xml += this.element('aired', aired ? String(aired).substring(0, 10) : null, 1);
+        xml += this.element('year', md.AirYear || s.year || md.Year, 1);
+        xml += this.element('plot', e.overview || md.EpisodeOverview, 1);
+        xml += this.element('runtime', e.runtime || s.runtime || md.Runtime, 1);
+        xml += this.element('mpaa', s.certification, 1);
+        xml += this.buildGenres(s.genres || md.Genres);
+        xml += this.element('studio', s.network || md.Network, 1);
+        xml += this.element('uniqueid', e.tvdbId, 1, 'type="tvdb" default="true"');
+        xml += this.element('uniqueid', e.id, 1, 'type="sonarr"');
+        xml += this.element('originallanguage', originalLanguage, 1);
+        return xml;
+    }
+
+    /**
+     * Wraps elements in a root tag; when `existingXml` holds a single element of the same root, its top-level tags
+     * not written here (actors, art, ratings, ...) are kept
+     * @param {string} root movie or episodedetails
+     * @param {string} elements Inner XML written by this script
+     * @param {string} existingXml Current NFO content (optional)
+     * @returns {string} Root element
+     */
+    buildDocument(root, elements, existingXml) {
+        let kept = '';
+        const existing = String(existingXml || '');
+        const rootRegex = new RegExp('<' + root + '(\\s[^>]*)?>([\\s\\S]*)</' + root + '>', 'i');
+        const match = existing.match(rootRegex);
+        const count = (existing.match(new RegExp('<' + root + '[\\s>]', 'gi')) || []).length;
+        if (match && count === 1) {
+            kept = match[2];
+            const written = {};
+            elements.replace(/^ {4}<([a-z]+)[\s>]/gim, (all, tag) => {
+                written[tag.toLowerCase()] = true;
+                return all;
+            });
+            for (const tag in written) {
+                if (!Object.prototype.hasOwnProperty.call(written, tag)) continue;
+                kept = kept.replace(
+                    new RegExp('[ \\t]*<' + tag + '(\\s[^>]*)?>[\\s\\S]*?</' + tag + '>[ \\t]*\\r?\\n?', 'gi'),
+                    ''
+                );
+                kept = kept.replace(new RegExp('[ \\t]*<' + tag + '(\\s[^>]*)?/>[ \\t]*\\r?\\n?', 'gi'), '');
+            }
+            kept = kept.replace(/^\s*\n/, '').replace(/\s+$/, '');
+            kept = kept ? kept + '\n' : '';
+        }
+        return '<' + root + '>\n' + elements + kept + '</' + root + '>\n';
+    }
+
+    /**
+     * Full NFO file content: XML declaration followed by the root element(s) (one per episode for multi-episode files)
+     * @param {Array} blocks Root elements built by buildDocument
+     * @returns {string}
+     */
+    toNfo(blocks) {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' + blocks.join('');
+    }
+
+    unescapeXml(value) {
+        return String(value)
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&#(\d+);/g, (all, code) => String.fromCharCode(parseInt(code, 10)))
+            .replace(/&amp;/g, '&')
+            .trim();
+    }
+
+    /**
+     * Texts of every `<tag>` element of a fragment (unescaped, CDATA unwrapped)
+     * @param {string} xml
+     * @param {string} tag
+     * @returns {Array} Non-empty values
+     */
+    readElements(xml, tag) {
+        const values = [];
+        const regex = new RegExp('<' + tag + '(?:\\s[^>]*)?>([\\s\\S]*?)</' + tag + '>', 'gi');
+        let m;
+        while ((m = regex.exec(xml)) !== null) {
+            const value = this.unescapeXml(m[1]);
+            if (value) values.push(value);
+        }
+        return values;
+    }
+
+    readElement(xml, tag) {
+        const values = this.readElements(xml, tag);
+        return values.length ? values[0] : null;
+    }
+
+    /**
+     * IDs of an NFO entry: `<uniqueid type="...">`, plus the legacy `<imdbid>`, `<tmdbid>`, `<tvdbid>` and `<id>` tags
+     * @param {string} xml Entry fragment
+     * @returns {Object} { imdb, tmdb, tvdb, ... }
+     */
+    readUniqueIds(xml) {
+        const ids = {};
+        const regex = /<uniqueid([^>]*)>([\s\S]*?)<\/uniqueid>/gi;
+        let m;
+        while ((m = regex.exec(xml)) !== null) {
+            const type = m[1].match(/type\s*=\s*["']([^"']+)["']/i);
+            const value = this.unescapeXml(m[2]);
+            if (value) ids[type ? type[1].toLowerCase() : 'unknown'] = value;
+        }
+        const legacy = ['imdb', 'tmdb', 'tvdb'];
+        for (let i = 0; i < legacy.length; i++) {
+            const value = this.readElement(xml, legacy[i] + 'id');
+            if (value && !ids[legacy[i]]) ids[legacy[i]] = value;
+        }
+        const id = this.readElement(xml, 'id');
+        if (id && /^tt\d+$/i.test(id) && !ids.imdb) ids.imdb = id;
+        return ids;
+    }
+
+    /**
+     * Parses an NFO document. Nested blocks (actors, sets, stream details) are ignored so their `<name>`/`<language>`
+     * don't shadow the entry's own tags.
+     * @param {string} xml NFO content
+     * @returns {Object|null} { root, entries: [{ title, originalTitle, showTitle, year, plot, premiered, aired, runtime,
+     *                          genres, studio, season, episode, originalLanguage, ids }] }
+     */
+    parseNfo(xml) {
+        const text = String(xml || '');
+        const rootMatch = text.match(/<(movie|tvshow|episodedetails|musicvideo)[\s>]/i);
+        if (!rootMatch) return null;
+        const root = rootMatch[1].toLowerCase();
+
+        const entries = [];
+        const regex = new RegExp('<' + root + '(?:\\s[^>]*)?>([\\s\\S]*?)</' + root + '>', 'gi');
+        let m;
+        while ((m = regex.exec(text)) !== null) {
+            const body = m[1].replace(
+                /<(fileinfo|actor|set|ratings|thumb|fanart|resume)(\s[^>]*)?>[\s\S]*?<\/\1>/gi,
+                ''
+            );
+            const int = (tag) => {
+                const n = parseInt(this.readElement(body, tag), 10);
+                return isNaN(n) ? null : n;
+            };
+            const premiered = this.readElement(body, 'premiered');
+            const aired = this.readElement(body, 'aired');
+            const date = aired || premiered;
+            entries.push({
+                title: this.readElement(body, 'title'),
+                originalTitle: this.readElement(body, 'originaltitle'),
+                showTitle: this.readElement(body, 'showtitle'),
+                year: int('year') || (date ? parseInt(date.substring(0, 4), 10) || null : null),
+                plot: this.readElement(body, 'plot') || this.readElement(body, 'outline'),
+                premiered: premiered,
+                aired: aired,
+                runtime: int('runtime'),
+                genres: this.readElements(body, 'genre'),
+                studio: this.readElement(body, 'studio'),
+                season: int('season'),
+                episode: int('episode'),
+                originalLanguage:
+                    this.readElement(body, 'originallanguage') ||
+                    this.readElement(body, 'original_language') ||
+                    this.readElement(body, 'language'),
+                ids: this.readUniqueIds(body)
+            });
+        }
+        return entries.length ? { root: root, entries: entries } : null;
+    }
+}
@@ -0,0 +1,118 @@
+import { ServiceApi } from 'Shared/ServiceApi';
+
+/**
+ * @name PlexVc
+ * @uid 6F3A1D92-4C7B-4E05-9B8E-2A5D7C1F0E63
+ * @description Class that interacts with Plex Media Server (library sections and partial scans)
+ * @author Vincent Courcelle
+ * @revision 2
+ * @minimumVersion 1.0.0.0
+ */
+export class PlexVc extends ServiceApi {
+    constructor(BaseUrl, ApiKey) {
+        super(BaseUrl, ApiKey, 'Plex');
+        this.ApiKeyHeader = 'X-Plex-Token';
+    }
+
+    getApiRoot() {
+        return this.BaseUrl + '/';
+    }
+
+    /**
+     * Plex answers in XML unless asked for JSON
+     */
+    sendRequest(method, url, body) {
+        try {
+            http.DefaultRequestHeaders.Remove('Accept');
+            http.DefaultRequestHeaders.Add('Accept', 'application/json');
+            return super.sendRequest(method, url, body);
+        } finally {
+            try {
+                http.DefaultRequestHeaders.Remove('Accept');
+            } catch (err) {}
+        }
+    }
+
+    getStatusEndpoint() {
+        return '';
+    }
+
+    readStatusVersion(json) {
+        return json && json.MediaContainer && json.MediaContainer.version ? String(json.MediaContainer.version) : null;
+    }
+
+    getSections() {
+        const json = this.fetchJsonCached('library/sections');
+        const sections = json && json.MediaContainer && json.MediaContainer.Directory;
+        if (!sections || !sections.length) {
+            Logger.WLog('No ' + this.ServiceName + ' library sections found');
+            return [];
+        }
+        return sections;
+    }
+
+    /**
+     * Finds the library section whose location contains the path (the deepest location wins)
+     * @param {string} path FileFlows path of a file or folder
+     * @returns {Object|null} { section, location } where location is the Plex-side folder
+     */
+    getSectionByPath(path) {
+        if (!path) return null;
+        const cp = this.normalizePath(path);
+        const sections = this.getSections();
+        let best = null;
+        let bestLength = -1;
+        for (let i = 0; i < sections.length; i++) {
+            const locations = sections[i].Location || [];
+            for (let j = 0; j < locations.length; j++) {
+                const lp = this.normalizePath(this.toLocalPath(locations[j].path));
+                if (!lp || lp.length <= bestLength) continue;
+                if (cp === lp || cp.indexOf(lp + '/') === 0) {
+                    best = { section: sections[i], location: locations[j].path };
+                    bestLength = lp.length;
+                }
+            }
+        }
+        if (best)
+            Logger.ILog(
+                'Found ' + this.ServiceName + ' section: ' + best.section.title + ' (' + best.section.key + ')'
+            );
+        return best;
+    }
+
+    /**
+     * Locations of every library section, as Plex sees them
+     * @returns {Array} Paths
+     */
+    getRootFolders() {
+        if (this.RootFolders) return this.RootFolders;
+        const folders = [];
+        const sections = this.getSections();
+        for (let i = 0; i < sections.length; i++) {
+            const locations = sections[i].Location || [];
+            for (let j = 0; j < locations.length; j++) folders.push(locations[j].path);
+        }
+        return folders;
+    }
+
+    /**
+     * Asks Plex to scan a single folder of a section
+     * @param {string} sectionId Section key
+     * @param {string} path FileFlows path of the folder to scan
+     * @returns {boolean}
+     */
+    scanPath(sectionId, path) {
+        const servicePath = this.toServicePath(path);
+        const url = this.getUrl(
+            'library/sections/' + sectionId + '/refresh',
+            this.buildQueryParams({ path: servicePath })
+        );
+        const response = this.sendRequest('GET', url);
+        if (!response || !response.ok) {
+            Logger.WLog('Unable to start ' + this.ServiceName + ' scan of ' + servicePath);
+            return false;
+        }
+        Logger.ILog(this.ServiceName + ' scan requested for ' + servicePath);
+        return true;
+    }
+}
@@ -1,147 +1,32 @@
+import { ServiceApi } from 'Shared/ServiceApi';
+import { TitleMatcher } from 'Shared/TitleMatcher';
+
 /**
  * @name RadarrVc
  * @uid CA7865F9-894B-2788-5E6E-34004FC2847A
  * @description Class that interacts with Radarr
  * @author Vincent Courcelle
- * @revision 21
+ * @revision 30
  * @minimumVersion 1.0.0.0
  */
-export class RadarrVc {
+export class RadarrVc extends ServiceApi {
     constructor(BaseUrl, ApiKey) {
-        this.ServiceName = 'Radarr';
-        this.BaseUrl = BaseUrl || Variables['Radarr.Url'];
-        this.ApiKey = ApiKey || Variables['Radarr.ApiKey'];
-        if (!this.BaseUrl) MissingVariable('Radarr.Url');
-        if (!this.ApiKey) MissingVariable('Radarr.ApiKey');
-    }
-
-    getUrl(endpoint, queryParameters) {
-        let url = '' + this.BaseUrl;
-        if (url.endsWith('/') === false) url += '/';
-        url = url + 'api/v3/' + endpoint + '?apikey=' + this.ApiKey;
-        if (queryParameters) url += '&' + queryParameters;
-        return url;
-    }
-
-    fetchString(url) {
-        try {
-            const response = http.GetAsync(url).Result;
-            const body = response.Content.ReadAsStringAsync().Result;
-            if (!response.IsSuccessStatusCode) {
-                Logger.WLog(
-                    'Unable to fetch ' +
-                        this.ServiceName +
-                        ' API: ' +
-                        url +
-                        '\nStatus: ' +
-                        response.StatusCode +
-                        '\n' +
-                        body
-                );
-                return null;
-            }
-            return body;
-        } catch (err) {
-            Logger.ELog('Exception fetching ' + this.ServiceName + ' API: ' + err);
-            return null;
-        }
-    }
-
-    fetchJson(endpoint, queryParameters) {
-        const url = this.getUrl(endpoint, queryParameters);
-        const json = this.fetchString(url);
-        if (!json) return null;
-        try {
-            return JSON.parse(json);
-        } catch (err) {
-            Logger.ELog('Failed to parse JSON from ' + this.ServiceName + ' API: ' + err);
-            return null;
-        }
-    }
-
-    sendCommand(commandName, commandBody) {
-        let endpoint = this.BaseUrl + '/api/v3/command';
-        if (this.BaseUrl.endsWith('/')) endpoint = this.BaseUrl + 'api/v3/command';
-        commandBody['name'] = commandName;
-        const jsonData = JSON.stringify(commandBody);
-        try {
-            http.DefaultRequestHeaders.Add('X-API-Key', this.ApiKey);
-            const response = http.PostAsync(endpoint, JsonContent(jsonData)).Result;
-            http.DefaultRequestHeaders.Remove('X-API-Key');
-            if (response.IsSuccessStatusCode) {
-                const responseData = JSON.parse(response.Content.ReadAsStringAsync().Result);
-                Logger.ILog(commandName + ' command sent successfully to ' + this.ServiceName);
-                return responseData;
-            } else {
-                const error = response.Content.ReadAsStringAsync().Result;
-                Logger.WLog(this.ServiceName + ' API error: ' + error);
-                return null;
-            }
-        } catch (err) {
-            Logger.ELog('Exception sending command to ' + this.ServiceName + ': ' + err);
-            return null;
-        }
-    }
-
-    waitForCompletion(commandId, timeoutMs) {
-        const startTime = new Date().getTime();
-        const timeout = timeoutMs || 30000;
-        const endpoint = 'command/' + commandId;
-        while (new Date().getTime() - startTime <= timeout) {
-            const response = this.fetchJson(endpoint, '');
-            if (response) {
-                if (response.status === 'completed') {
-                    Logger.ILog(this.ServiceName + ' command completed!');
-                    return true;
-                } else if (response.status === 'failed') {
-                    Logger.WLog(this.ServiceName + ' command ' + commandId + ' failed');
-                    return false;
-                }
-                Logger.ILog('Checking ' + this.ServiceName + ' status: ' + response.status);
-            }
-            Sleep(500);
-        }
-        Logger.WLog(
-            'Timeout: ' + this.ServiceName + ' command ' + commandId + ' did not complete within ' + timeout + 'ms.'
-        );
-        return false;
-    }
-
-    buildQueryParams(params) {
-        const parts = [];
-        for (const key in params) {
-            if (Object.prototype.hasOwnProperty.call(params, key)) {
-                parts.push(encodeURIComponent(key) + '=' + encodeURIComponent(params[key]));
-            }
-        }
-        return parts.join('&');
+        super(BaseUrl, ApiKey, 'Radarr');
     }
 
     getMovieByFile(file) {
         if (!file) return null;
-        const movies = this.fetchJson('movie');
-        if (!movies || !movies.length) return null;
-        const cp = file.toLowerCase();
-        for (let i = 0; i < movies.length; i++) {
-            const x = movies[i];
-            const mp = x.movieFile && x.movieFile.relativePath;
-            if (mp && mp.split('.')[0].toLowerCase().indexOf(cp.split('.')[0]) !== -1) {
-                Logger.ILog('Found movie: ' + x.title);
-                return x;
-            }
-        }
-        return null;
+        return this.searchMovieByTitle(file);
     }
 
     getMovieByPath(path) {
         if (!path) return null;
-        const movies = this.fetchJson('movie');
+        const movies = this.fetchJsonCached('movie');
         if (!movies || !movies.length) return null;
-        const cp = path.toLowerCase();
         for (let i = 0; i < movies.length; i++) {
             const x = movies[i];
             const mp = x.movieFile && x.movieFile.path;
-            if (mp && mp.toLowerCase().indexOf(cp) !== -1) {
+            if (mp && this.pathContains(mp, path)) {
                 Logger.ILog('Found movie: ' + x.title);
                 return x;
             }
@@ -180,48 +65,198 @@ export class RadarrVc {
         return this.fetchJson('rename', 'movieId=' + movieId);
     }
 
-    searchMovieByPath(searchPattern) {
-        return this.getMovieByPath(searchPattern);
+    getMovie(movieId) {
+        return this.fetchJson('movie/' + movieId);
     }
 
-    searchInQueue(searchPattern) {
-        const sp = (searchPattern || '').toLowerCase();
-        if (!sp) return null;
-        const queryParams = 'includeMovie=true';
-        const json = this.fetchJson('queue', queryParams);
-        if (!json || !json.records) return null;
-        const items = json.records;
-        for (let i = 0; i < items.length; i++) {
-            const item = items[i];
-            if (item.outputPath && item.outputPath.toLowerCase().indexOf(sp) !== -1) {
-                Logger.ILog('Found Movie in Queue: ' + item.movie.title);
-                return item.movie;
+    refreshMovie(movieId) {
+        return this.sendCommand('RefreshMovie', { movieIds: [movieId], isNewMovie: false });
+    }
+
+    /**
+     * Finds a file Radarr sees in the movie folder but has not imported (e.g. the transcoded file)
+     * @param {string} currentFileName File name (or path) of the processed file
+     * @param {number} movieId Radarr movie ID
+     * @param {string} movieFolder Movie folder as seen by Radarr
+     * @returns {Object|null} Manual import candidate
+     */
+    fetchManualImportFile(currentFileName, movieId, movieFolder) {
+        const params = { movieId: movieId, filterExistingFiles: true };
+        if (movieFolder) params.folder = movieFolder;
+        const response = this.fetchJson('manualimport', this.buildQueryParams(params));
+        if (!response || !Array.isArray(response)) return null;
+        for (let i = 0; i < response.length; i++) {
+            const file = response[i];
+            if (this.pathEndsWith(file.path, currentFileName)) {
+                return file;
             }
         }
         return null;
     }
 
-    searchInDownloadHistory(searchPattern) {
-        const sp = (searchPattern || '').toLowerCase();
-        if (!sp) return null;
-        let page = 1;
-        while (true) {
-            const queryParams = 'page=' + page + '&pageSize=1000&eventType=3&includeMovie=true';
-            const json = this.fetchJson('history', queryParams);
-            if (!json || !json.records || json.records.length === 0) break;
-            const items = json.records;
-            for (let i = 0; i < items.length; i++) {
-                const item = items[i];
-                if (item.data && item.data.droppedPath && item.data.droppedPath.toLowerCase().indexOf(sp) !== -1) {
-                    Logger.ILog('Found Movie in History: ' + item.movie.title);
-                    return item.movie;
+    manuallyImportFile(fileToImport, movieId) {
+        const body = {
+            files: [
+                {
+                    path: fileToImport.path,
+                    folderName: fileToImport.folderName,
+                    movieId: movieId,
+                    quality: fileToImport.quality,
+                    languages: fileToImport.languages,
+                    indexerFlags: fileToImport.indexerFlags,
+                    releaseGroup: fileToImport.releaseGroup
                 }
+            ],
+            importMode: 'auto'
+        };
+        return this.sendCommand('ManualImport', body);
+    }
+
+    /**
+     * Renames the movie files whose name no longer matches Radarr's naming scheme
+     * @param {number} movieId Radarr movie ID
+     * @returns {Object|null} { command, renames } or null when nothing needs renaming
+     */
+    renameMovieFiles(movieId) {
+        const renames = this.fetchRenamedMovies(movieId);
+        if (!renames || !renames.length) {
+            Logger.ILog('No rename needed for movie ' + movieId);
+            return null;
+        }
+        for (let i = 0; i < renames.length; i++) {
+            Logger.ILog('Renaming ' + renames[i].existingPath + ' -> ' + renames[i].newPath);
+        }
+        const command = this.sendCommand('RenameFiles', {
+            movieId: movieId,
+            files: renames.map((r) => r.movieFileId)
+        });
+        return { command: command, renames: renames };
+    }
+
+    searchMovieByPath(searchPattern) {
+        return this.getMovieByPath(searchPattern);
+    }
+
+    /**
+     * Fuzzy-matches a file/folder name against the titles (original and alternate ones too) and years of the library
+     * @param {string} name File or folder name, e.g. "The.Matrix.1999.1080p" or "The Matrix (1999)"
+     * @returns {Object|null} Radarr movie, null when no title is close enough or the match is ambiguous
+     */
+    searchMovieByTitle(name) {
+        const movies = this.fetchJsonCached('movie');
+        if (!name || !movies || !movies.length) return null;
+        const movie = new TitleMatcher().findBest(
+            name,
+            movies,
+            (x) => [x.title, x.originalTitle].concat((x.alternateTitles || []).map((t) => t.title)),
+            (x) => x.year
+        );
+        if (movie) Logger.ILog('Found movie by title: ' + movie.title);
+        return movie;
+    }
+
+    /**
+     * Reads `{imdb-tt1234567}` / `{tmdb-603}` tokens (also `[imdbid-tt1234567]`, `tmdbid=603`) from a file or folder path
+     * @param {string} path File or folder path/name
+     * @returns {Object} { imdb, tmdb }, null when absent
+     */
+    parseIdTokens(path) {
+        const text = String(path || '');
+        const imdb = text.match(/[{[]imdb(?:id)?[-=](tt\d{7,9})[}\]]/i);
+        const tmdb = text.match(/[{[]tmdb(?:id)?[-=](\d+)[}\]]/i);
+        return {
+            imdb: imdb ? imdb[1].toLowerCase() : null,
+            tmdb: tmdb ? parseInt(tmdb[1], 10) : null
+        };
+    }
+
+    /**
+     * Finds the library movie matching the IMDb/TMDb tokens of a path
+     * @param {string} path File or folder path/name
+     * @returns {Object|null} Radarr movie
+     */
+    searchMovieByIds(path) {
+        const ids = this.parseIdTokens(path);
+        if (!ids.tmdb && !ids.imdb) return null;
+        Logger.ILog('ID tokens found in path: ' + JSON.stringify(ids));
+
+        if (ids.tmdb) {
+            const movies = this.fetchJson('movie', 'tmdbId=' + ids.tmdb);
+            if (movies && movies.length) {
+                Logger.ILog('Found movie by TMDb id ' + ids.tmdb + ': ' + movies[0].title);
+                return movies[0];
+            }
+        }
+        if (ids.imdb) {
+            const movies = this.fetchJsonCached('movie') || [];
+            const movie = movies.find((x) => x.imdbId && x.imdbId.toLowerCase() === ids.imdb);
+            if (movie) {
+                Logger.ILog('Found movie by IMDb id ' + ids.imdb + ': ' + movie.title);
+                return movie;
             }
-            page++;
         }
         return null;
     }
 
+    /**
+     * Radarr's lookup result (metadata only, no `id`) for the IMDb/TMDb tokens of a path, for movies no instance has
+     * @param {string} path File or folder path/name
+     * @returns {Object|null} Radarr movie without `id`
+     */
+    lookupMovieByIds(path) {
+        const ids = this.parseIdTokens(path);
+        if (!ids.tmdb && !ids.imdb) return null;
+
+        const lookup = ids.tmdb
+            ? this.fetchJson('movie/lookup/tmdb', 'tmdbId=' + ids.tmdb)
+            : this.fetchJson('movie/lookup/imdb', 'imdbId=' + ids.imdb);
+        if (lookup && lookup.title) {
+            Logger.ILog('Movie not in Radarr library, using lookup result: ' + lookup.title);
+            return lookup;
+        }
+        return null;
+    }
+
+    /**
+     * Finds the movie of a queued download whose output path matches the pattern
+     * @param {string} searchPattern File or folder name
+     * @param {boolean} returnRecord Return the queue record (downloadId, ...) instead of the movie
+     */
+    searchInQueue(searchPattern, returnRecord) {
+        return this.searchApi(
+            'queue',
+            searchPattern,
+            (item, sp) => this.pathContains(item.outputPath, sp),
+            { includeMovie: true },
+            (item) => {
+                Logger.ILog('Found Movie in Queue: ' + item.movie.title);
+                return returnRecord ? item : item.movie;
+            }
+        );
+    }
+
+    /**
+     * Finds the movie of an imported download whose dropped path matches the pattern
+     * @param {string} searchPattern File or folder name
+     * @param {boolean} returnRecord Return the import history record (downloadId, ...) instead of the movie
+     */
+    searchInDownloadHistory(searchPattern, returnRecord) {
+        return this.searchApi(
+            'history',
+            searchPattern,
+            (item, sp) => !!item.data && this.pathContains(item.data.droppedPath, sp),
+            { eventType: 3, includeMovie: true },
+            (item) => {
+                Logger.ILog('Found Movie in History: ' + item.movie.title);
+                return returnRecord ? item : item.movie;
+            }
+        );
+    }
+
+    tagMovie(movieId, labels) {
+        return this.addTags('movie/editor', 'movieIds', [movieId], labels);
+    }
+
     /**
      * Updates the movie metadata in the global variables based on the Radarr movie data
      * @param {Object} movie - Movie object returned from Radarr API
@@ -231,7 +266,8 @@ export class RadarrVc {
 
         Variables['movie.Title'] = movie.title;
         Variables['movie.Year'] = movie.year;
-        Variables['movie.RadarrId'] = movie.id;
+        // Lookup results (movies not in the library) have no id
+        if (movie.id) Variables['movie.RadarrId'] = movie.id;
         Variables.VideoMetadata = {
             Title: movie.title,
             Description: movie.overview,
@@ -1,16 +1,22 @@
 /**
  * @name ServiceApi
  * @uid 27885E6E-3400-4FC2-847A-FA7865F9894B
- * @description Base class for API services (Radarr, Sonarr, etc)
+ * @description Base class for API services (Radarr, Sonarr, Lidarr, Jellyfin, etc)
  * @author Vincent Courcelle
- * @revision 1
+ * @revision 14
  * @minimumVersion 1.0.0.0
  */
+// Per-run cache shared by every client instance created in the same script execution
+const memoryCache = {};
+
 export class ServiceApi {
-    constructor(BaseUrl, ApiKey, ServiceName) {
+    constructor(BaseUrl, ApiKey, ServiceName, ApiVersion) {
         this.ServiceName = ServiceName || 'Service';
         this.BaseUrl = BaseUrl;
         this.ApiKey = ApiKey;
+        // Set by createInstanceClient when `<ServiceName>.Instances` lists several instances
+        this.InstanceName = null;
+        this.RootFolders = null;
 
         // Auto-resolve from variables if not passed
         if (!this.BaseUrl) {
@@ -30,43 +36,508 @@ export class ServiceApi {
 
         if (!this.BaseUrl) MissingVariable(this.ServiceName + '.Url');
         if (!this.ApiKey) MissingVariable(this.ServiceName + '.ApiKey');
+
+        this.BaseUrl = String(this.BaseUrl).replace(/\/+$/, '');
+        this.ApiVersion = Variables[this.ServiceName + '.ApiVersion'] || ApiVersion || 'v3';
+
+        // Retry policy for transient failures, see isRetryableStatus
+        this.MaxRetries = this.readIntVariable('MaxRetries', 3, 0, 10);
+        this.RetryDelayMs = this.readIntVariable('RetryDelayMs', 1000, 0, 60000);
+        this.ApiKeyHeader = 'X-Api-Key';
+
+        this.PathMappings = this.loadPathMappings(Variables[this.ServiceName + '.PathMappings']);
+
+        // Optional on-disk cache of bulk listings (movie list, episode-file index), shared across flows
+        this.CacheTtlSeconds = this.readIntVariable('CacheTtlSeconds', 0, 0, 86400);
+        this.CacheDir =
+            Variables[this.ServiceName + '.CacheDir'] ||
+            System.IO.Path.Combine(System.IO.Path.GetTempPath(), 'fileflows-arr-cache');
+    }
+
+    /**
+     * Reads `Variables['<ServiceName>.Instances']`, the instances of a service run side by side (e.g. radarr and
+     * radarr4k): JSON list of { name, url, key, rootFolders, pathMappings }
+     * @param {string} serviceName e.g. Radarr
+     * @returns {Array} [{ name, url, key, rootFolders, pathMappings }]
+     */
+    static loadInstances(serviceName) {
+        let list = Variables[serviceName + '.Instances'];
+        if (!list) return [];
+        if (typeof list === 'string') {
+            try {
+                list = JSON.parse(list);
+            } catch (err) {
+                Logger.WLog('Invalid ' + serviceName + '.Instances JSON: ' + err);
+                return [];
+            }
+        }
+        if (!Array.isArray(list)) return [];
+        const instances = [];
+        for (let i = 0; i < list.length; i++) {
+            const x = list[i];
+            if (!x || !x.url) continue;
+            instances.push({
+                name: String(x.name || serviceName.toLowerCase() + (i + 1)),
+                url: x.url,
+                key: x.key || x.apiKey,
+                rootFolders: Array.isArray(x.rootFolders) ? x.rootFolders : null,
+                pathMappings: x.pathMappings || null
+            });
+        }
+        return instances;
+    }
+
+    /**
+     * Creates a client for one configured instance (call on the subclass, e.g. RadarrVc.createInstanceClient)
+     * @param {Object} instance Entry of loadInstances
+     * @returns {ServiceApi}
+     */
+    static createInstanceClient(instance) {
+        const client = new this(instance.url, instance.key);
+        client.InstanceName = instance.name;
+        client.RootFolders = instance.rootFolders;
+        if (instance.pathMappings) client.PathMappings = client.loadPathMappings(instance.pathMappings);
+        return client;
+    }
+
+    /**
+     * Creates the clients a lookup should query (call on the subclass, e.g. RadarrVc.createClients).
+     * With `<ServiceName>.Instances`, every instance in order, those whose root folders contain the path first;
+     * otherwise the single client of the given/default URL and key.
+     * @param {string} serviceName e.g. Radarr
+     * @param {string} path FileFlows path of the file being processed
+     * @param {string} url URL used when no instances are configured
+     * @param {string} apiKey API key used when no instances are configured
+     * @returns {Array} Clients
+     */
+    static createClients(serviceName, path, url, apiKey) {
+        const instances = ServiceApi.loadInstances(serviceName);
+        if (!instances.length) return [new this(url, apiKey)];
+
+        const clients = instances.map((x) => this.createInstanceClient(x));
+        const owners = clients.filter((c) => c.containsPath(path));
+        if (owners.length) {
+            const names = owners.map((c) => c.InstanceName).join(', ');
+            Logger.ILog(serviceName + ' instance(s) with a root folder containing the file: ' + names);
+        }
+        return owners.concat(clients.filter((c) => owners.indexOf(c) === -1));
+    }
+
+    /**
+     * Creates the client of the instance recorded by a lookup (`<ServiceName>.Instance`), so Refresh scripts
+     * talk to the same instance; falls back to the given/default URL and key
+     * @param {string} serviceName e.g. Radarr
+     * @param {string} url
+     * @param {string} apiKey
+     * @returns {ServiceApi}
+     */
+    static createClient(serviceName, url, apiKey) {
+        const name = Variables[serviceName + '.Instance'];
+        if (name) {
+            const instance = ServiceApi.loadInstances(serviceName).find(
+                (x) => x.name.toLowerCase() === String(name).toLowerCase()
+            );
+            if (instance) {
+                Logger.ILog('Using ' + serviceName + ' instance ' + instance.name);
+                return this.createInstanceClient(instance);
+            }
+        }
+        return new this(url, apiKey);
+    }
+
+    /**
+     * Root folders of the service as it sees them: from the instance settings, otherwise from its `rootfolder` API
+     * @returns {Array} Paths
+     */
+    getRootFolders() {
+        if (this.RootFolders) return this.RootFolders;
+        const folders = this.fetchJsonCached('rootfolder');
+        return folders && folders.length ? folders.map((f) => f.path) : [];
+    }
+
+    /**
+     * Whether a FileFlows path is inside one of the service's root folders
+     * @param {string} path
+     * @returns {boolean}
+     */
+    containsPath(path) {
+        if (!path) return false;
+        const cp = this.normalizePath(path);
+        return this.getRootFolders().some((folder) => {
+            const fp = this.normalizePath(this.toLocalPath(folder));
+            return !!fp && (cp === fp || cp.indexOf(fp + '/') === 0);
+        });
+    }
+
+    /**
+     * Stores this client's connection in the Variables read by the next nodes (Refresh, ...)
+     */
+    rememberInstance() {
+        Variables[this.ServiceName + '.Url'] = this.BaseUrl;
+        Variables[this.ServiceName + '.URI'] = this.BaseUrl;
+        Variables[this.ServiceName + '.ApiKey'] = this.ApiKey;
+        if (this.InstanceName) {
+            Variables[this.ServiceName + '.Instance'] = this.InstanceName;
+            Logger.ILog('Matched ' + this.ServiceName + ' instance: ' + this.InstanceName);
+        }
+    }
+
+    getStatusEndpoint() {
+        return 'system/status';
+    }
+
+    /**
+     * Server version from the status endpoint's response; override for services with another shape
+     * @param {Object} json Parsed status response
+     * @returns {string|null}
+     */
+    readStatusVersion(json) {
+        return json && json.version ? String(json.version) : null;
+    }
+
+    /**
+     * Calls the status endpoint once (no retries) to check the URL, the API version and the API key.
+     * Servers too old for the configured API version answer 404.
+     * @returns {Object} { ok, reachable, version, error }
+     */
+    checkStatus() {
+        const url = this.getUrl(this.getStatusEndpoint());
+        const maxRetries = this.MaxRetries;
+        let response;
+        this.MaxRetries = 0;
+        try {
+            response = this.sendRequest('GET', url);
+        } finally {
+            this.MaxRetries = maxRetries;
+        }
+
+        const result = { ok: false, reachable: !!response, version: null, error: null };
+        if (!response) {
+            result.error = 'No response from ' + url;
+        } else if (response.statusCode === 401 || response.statusCode === 403) {
+            result.error = 'API key rejected (status ' + response.statusCode + ')';
+        } else if (response.statusCode === 404) {
+            result.error = 'Status endpoint not found (check the URL base and API version): ' + url;
+        } else if (!response.ok) {
+            result.error = 'Status ' + response.statusCode + ' from ' + url;
+        } else {
+            let json = null;
+            try {
+                json = JSON.parse(response.body);
+            } catch (err) {}
+            result.version = this.readStatusVersion(json);
+            if (result.version) result.ok = true;
+            else result.error = 'Not an API response (check the URL base): ' + url;
+        }
+        return result;
+    }
+
+    /**
+     * Root folders of the service FileFlows can't see once mapped (missing or wrong `PathMappings`)
+     * @returns {Array} [{ folder, localPath }]
+     */
+    findMissingRootFolders() {
+        const missing = [];
+        const folders = this.getRootFolders();
+        for (let i = 0; i < folders.length; i++) {
+            const localPath = this.toLocalPath(folders[i]);
+            if (!System.IO.Directory.Exists(localPath)) missing.push({ folder: folders[i], localPath: localPath });
+        }
+        return missing;
+    }
+
+    /**
+     * Reads an integer setting from `Variables['<ServiceName>.<name>']`
+     * @param {string} name Setting name (without the service prefix)
+     * @param {number} defaultValue Value used when the variable is unset or invalid
+     * @param {number} min Minimum allowed value
+     * @param {number} max Maximum allowed value
+     * @returns {number}
+     */
+    readIntVariable(name, defaultValue, min, max) {
+        const raw = Variables[this.ServiceName + '.' + name];
+        if (raw === undefined || raw === null || raw === '') return defaultValue;
+        const n = parseInt(raw, 10);
+        if (isNaN(n)) return defaultValue;
+        return Math.max(min, Math.min(max, n));
+    }
+
+    /**
+     * Parses a path mapping table: JSON list of { from, to } where `from` is the FileFlows path prefix
+     * and `to` is the same folder as seen by the service (e.g. [{"from": "/media", "to": "/data/movies"}])
+     * @param {string|Array} value JSON string or array
+     * @returns {Array} [{ from, to }]
+     */
+    loadPathMappings(value) {
+        if (!value) return [];
+        let list = value;
+        if (typeof value === 'string') {
+            try {
+                list = JSON.parse(value);
+            } catch (err) {
+                Logger.WLog('Invalid ' + this.ServiceName + '.PathMappings JSON: ' + err);
+                return [];
+            }
+        }
+        if (!Array.isArray(list)) return [];
+        const mappings = [];
+        for (let i = 0; i < list.length; i++) {
+            const m = list[i];
+            if (m && m.from && m.to) mappings.push({ from: String(m.from), to: String(m.to) });
+        }
+        if (mappings.length) Logger.ILog(this.ServiceName + ' path mappings: ' + JSON.stringify(mappings));
+        return mappings;
+    }
+
+    /**
+     * Normalizes a path for comparisons: forward slashes, no duplicate/trailing slashes, lowercase
+     * @param {string} path
+     * @returns {string}
+     */
+    normalizePath(path) {
+        return String(path || '')
+            .replace(/\\/g, '/')
+            .replace(/(.)\/{2,}/g, '$1/')
+            .replace(/\/+$/, '')
+            .toLowerCase();
+    }
+
+    /**
+     * Rewrites a path prefix (case-insensitive, any slash direction) keeping the target's slash style
+     * @param {string} path Path to rewrite
+     * @param {string} fromKey Mapping side to match ('from' or 'to')
+     * @param {string} toKey Mapping side to emit
+     * @returns {string} The mapped path, or the original path when no mapping applies
+     */
+    mapPath(path, fromKey, toKey) {
+        if (!path || !this.PathMappings.length) return path;
+        const p = String(path);
+        const np = this.normalizePath(p);
+        for (let i = 0; i < this.PathMappings.length; i++) {
+            const m = this.PathMappings[i];
+            const prefix = this.normalizePath(m[fromKey]);
+            if (np !== prefix && np.indexOf(prefix + '/') !== 0) continue;
+            const target = m[toKey].replace(/[\\/]+$/, '');
+            const sep = target.indexOf('\\') !== -1 && target.indexOf('/') === -1 ? '\\' : '/';
+            const rest = p
+                .replace(/\\/g, '/')
+                .replace(/(.)\/{2,}/g, '$1/')
+                .substring(prefix.length)
+                .replace(/^\/+/, '');
+            return rest ? target + sep + rest.split('/').join(sep) : target;
+        }
+        return p;
+    }
+
+    toServicePath(localPath) {
+        return this.mapPath(localPath, 'from', 'to');
+    }
+
+    toLocalPath(servicePath) {
+        return this.mapPath(servicePath, 'to', 'from');
+    }
+
+    /**
+     * Joins a path relative to a service folder (e.g. a `rename` preview's newPath) to that folder,
+     * using the folder's slash style. Absolute paths are returned unchanged.
+     * @param {string} folder Folder as seen by the service
+     * @param {string} relativePath Relative (or absolute) path
+     * @returns {string}
+     */
+    joinServicePath(folder, relativePath) {
+        const rel = String(relativePath || '');
+        if (!folder || /^([a-zA-Z]:[\\/]|[\\/])/.test(rel)) return rel;
+        const base = String(folder).replace(/[\\/]+$/, '');
+        const sep = base.indexOf('\\') !== -1 && base.indexOf('/') === -1 ? '\\' : '/';
+        return base + sep + rel.replace(/[\\/]+/g, sep);
+    }
+
+    /**
+     * Whether a path returned by the service contains the given local path or name
+     * @param {string} servicePath Path as seen by the service
+     * @param {string} pattern FileFlows path or file/folder name
+     * @returns {boolean}
+     */
+    pathContains(servicePath, pattern) {
+        if (!servicePath || !pattern) return false;
+        const sp = this.normalizePath(this.toLocalPath(servicePath));
+        return sp.indexOf(this.normalizePath(pattern)) !== -1;
+    }
+
+    /**
+     * Whether a path returned by the service is exactly the given local path (after path mapping)
+     * @param {string} servicePath Path as seen by the service
+     * @param {string} localPath FileFlows path
+     * @returns {boolean}
+     */
+    pathEquals(servicePath, localPath) {
+        if (!servicePath || !localPath) return false;
+        return this.normalizePath(this.toLocalPath(servicePath)) === this.normalizePath(localPath);
+    }
+
+    /**
+     * Whether a path returned by the service is the given local path, or ends with the given relative path/name
+     * @param {string} servicePath Path as seen by the service
+     * @param {string} pathOrName FileFlows path or file name
+     * @returns {boolean}
+     */
+    pathEndsWith(servicePath, pathOrName) {
+        if (!servicePath || !pathOrName) return false;
+        const sp = this.normalizePath(this.toLocalPath(servicePath));
+        const p = this.normalizePath(pathOrName);
+        return sp === p || sp.endsWith('/' + p.replace(/^\//, ''));
+    }
+
+    getApiRoot() {
+        return this.BaseUrl + '/api/' + this.ApiVersion + '/';
     }
 
     getUrl(endpoint, queryParameters) {
-        let url = String(this.BaseUrl);
-        if (!url.endsWith('/')) url += '/';
-        url = url + 'api/v3/' + endpoint + '?apikey=' + this.ApiKey;
-        if (queryParameters) url += '&' + queryParameters;
+        let url = this.getApiRoot() + endpoint;
+        if (queryParameters) url += '?' + queryParameters;
         return url;
     }
 
-    fetchString(url) {
+    /**
+     * Converts a .NET HttpStatusCode (enum name or number) to a number
+     * @param {Object} response HttpResponseMessage
+     * @returns {number} Status code, or 0 when unknown
+     */
+    getStatusCode(response) {
+        const names = {
+            RequestTimeout: 408,
+            TooManyRequests: 429,
+            InternalServerError: 500,
+            BadGateway: 502,
+            ServiceUnavailable: 503,
+            GatewayTimeout: 504
+        };
         try {
-            let response = http.GetAsync(url).Result;
-            let body = response.Content.ReadAsStringAsync().Result;
-            if (!response.IsSuccessStatusCode) {
+            const raw = response.StatusCode;
+            const n = parseInt(raw, 10);
+            if (!isNaN(n)) return n;
+            const name = String(raw);
+            if (names[name]) return names[name];
+        } catch (err) {}
+        return response && response.IsSuccessStatusCode ? 200 : 0;
+    }
+
+    /**
+     * Value of the auth header named by ApiKeyHeader; override for schemes like `MediaBrowser Token="..."`
+     * @returns {string}
+     */
+    getApiKeyHeaderValue() {
+        return this.ApiKey;
+    }
+
+    /**
+     * Whether a request can be sent twice without side effects (reads)
+     * @param {string} verb HTTP method
+     * @returns {boolean}
+     */
+    isIdempotent(verb) {
+        return verb === 'GET' || verb === 'HEAD';
+    }
+
+    /**
+     * Reads retry on 408 and every 5xx. Writes (POST/PUT/PATCH/DELETE: commands, imports, tags, mark failed) only
+     * retry on statuses saying the request was not handled (408, 502, 503, 504): a repeated write could import, tag
+     * or fail a release twice.
+     * @param {number} statusCode
+     * @param {string} verb HTTP method
+     * @returns {boolean}
+     */
+    isRetryableStatus(statusCode, verb) {
+        if (this.isIdempotent(verb)) return statusCode === 408 || statusCode >= 500;
+        return statusCode === 408 || statusCode === 502 || statusCode === 503 || statusCode === 504;
+    }
+
+    /**
+     * Sends an HTTP request with the API key header and retries transient failures with exponential backoff
+     * (see isRetryableStatus). Writes are never retried after an exception: the server may have applied them.
+     * The API key is only sent to URLs under BaseUrl.
+     * @param {string} method GET, POST, PUT, PATCH or DELETE
+     * @param {string} url Absolute URL
+     * @param {Object|Array} body Optional JSON body (POST/PUT/PATCH)
+     * @returns {Object} { ok, statusCode, body } or null when every attempt threw
+     */
+    sendRequest(method, url, body) {
+        const verb = String(method || 'GET').toUpperCase();
+        const sendKey = String(url).indexOf(this.BaseUrl) === 0;
+        const jsonData = body === undefined || body === null ? null : JSON.stringify(body);
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= this.MaxRetries; attempt++) {
+            if (attempt > 0) {
+                const delay = this.RetryDelayMs * Math.pow(2, attempt - 1);
                 Logger.WLog(
-                    'Unable to fetch ' +
-                        this.ServiceName +
-                        ' API: ' +
-                        url +
-                        '\nStatus: ' +
-                        response.StatusCode +
-                        '\n' +
-                        body
+                    `Retrying ${this.ServiceName} ${verb} ${url} in ${delay}ms (attempt ${attempt + 1}/${this.MaxRetries + 1})`
                 );
-                return null;
+                Sleep(delay);
             }
-            return body;
-        } catch (err) {
-            Logger.ELog('Exception fetching ' + this.ServiceName + ' API: ' + err);
+
+            let result = null;
+            try {
+                if (sendKey) {
+                    http.DefaultRequestHeaders.Remove(this.ApiKeyHeader);
+                    http.DefaultRequestHeaders.Add(this.ApiKeyHeader, this.getApiKeyHeaderValue());
+                }
+                let response;
+                if (verb === 'POST') response = http.PostAsync(url, JsonContent(jsonData || '{}')).Result;
+                else if (verb === 'PUT') response = http.PutAsync(url, JsonContent(jsonData || '{}')).Result;
+                else if (verb === 'PATCH') response = http.PatchAsync(url, JsonContent(jsonData || '{}')).Result;
+                else if (verb === 'DELETE') response = http.DeleteAsync(url).Result;
+                else response = http.GetAsync(url).Result;
+
+                result = {
+                    ok: !!response.IsSuccessStatusCode,
+                    statusCode: this.getStatusCode(response),
+                    body: response.Content.ReadAsStringAsync().Result
+                };
+            } catch (err) {
+                lastError = err;
+            } finally {
+                if (sendKey) {
+                    try {
+                        http.DefaultRequestHeaders.Remove(this.ApiKeyHeader);
+                    } catch (err) {}
+                }
+            }
+
+            if (result && (result.ok || !this.isRetryableStatus(result.statusCode, verb))) return result;
+            if (result) {
+                Logger.WLog(this.ServiceName + ' ' + verb + ' ' + url + ' returned status ' + result.statusCode);
+                if (attempt === this.MaxRetries) return result;
+            } else {
+                Logger.WLog('Exception calling ' + this.ServiceName + ' ' + verb + ' ' + url + ': ' + lastError);
+                if (!this.isIdempotent(verb)) break;
+            }
+        }
+
+        Logger.ELog('Exception fetching ' + this.ServiceName + ' API: ' + lastError);
+        return null;
+    }
+
+    fetchString(url) {
+        const response = this.sendRequest('GET', url);
+        if (!response) return null;
+        if (!response.ok) {
+            Logger.WLog(
+                'Unable to fetch ' +
+                    this.ServiceName +
+                    ' API: ' +
+                    url +
+                    '\nStatus: ' +
+                    response.statusCode +
+                    '\n' +
+                    response.body
+            );
             return null;
         }
+        return response.body;
     }
 
-    fetchJson(endpoint, queryParameters) {
-        let url = this.getUrl(endpoint, queryParameters);
-        let json = this.fetchString(url);
+    parseJson(json) {
         if (!json) return null;
         try {
             return JSON.parse(json);
@@ -76,33 +547,263 @@ export class ServiceApi {
         }
     }
 
+    fetchJson(endpoint, queryParameters) {
+        const url = this.getUrl(endpoint, queryParameters);
+        return this.parseJson(this.fetchString(url));
+    }
+
+    /**
+     * Sends a JSON body to an API endpoint
+     * @param {string} method POST, PUT, PATCH or DELETE
+     * @param {string} endpoint Endpoint relative to the API root (e.g. "command")
+     * @param {Object|Array} body JSON body
+     * @param {string} queryParameters Optional query string (without "?")
+     * @returns {Object|boolean|null} Parsed response, true for an empty successful response, null on error
+     */
+    sendJson(method, endpoint, body, queryParameters) {
+        const url = this.getUrl(endpoint, queryParameters);
+        const response = this.sendRequest(method, url, body);
+        if (!response) return null;
+        if (!response.ok) {
+            Logger.WLog(this.ServiceName + ' API error (' + response.statusCode + '): ' + response.body);
+            return null;
+        }
+        if (!response.body) return true;
+        return this.parseJson(response.body);
+    }
+
+    postJson(endpoint, body, queryParameters) {
+        return this.sendJson('POST', endpoint, body, queryParameters);
+    }
+
+    putJson(endpoint, body, queryParameters) {
+        return this.sendJson('PUT', endpoint, body, queryParameters);
+    }
+
+    patchJson(endpoint, body, queryParameters) {
+        return this.sendJson('PATCH', endpoint, body, queryParameters);
+    }
+
     sendCommand(commandName, commandBody) {
-        let endpoint = this.BaseUrl + '/api/v3/command';
-        if (this.BaseUrl.endsWith('/')) endpoint = this.BaseUrl + 'api/v3/command';
+        const body = commandBody || {};
+        body['name'] = commandName;
+        const responseData = this.postJson('command', body);
+        if (responseData) {
+            Logger.ILog(commandName + ' command sent successfully to ' + this.ServiceName);
+            // Commands change library state, so cached listings are stale from here on
+            this.clearCache();
+        }
+        return responseData;
+    }
 
-        commandBody['name'] = commandName;
-        let jsonData = JSON.stringify(commandBody);
+    /**
+     * Finds the "grabbed" history event of a download, which is what `history/failed` expects
+     * @param {string} downloadId Download client id (from a queue item or an import history record)
+     * @returns {Object|null} History record
+     */
+    findGrabEvent(downloadId) {
+        if (!downloadId) return null;
+        return this.fetchPaged('history', { eventType: 1, downloadId: downloadId }, (records) => {
+            return records.find((r) => r.downloadId === downloadId) || null;
+        });
+    }
 
-        try {
-            http.DefaultRequestHeaders.Add('X-API-Key', this.ApiKey);
-            let response = http.PostAsync(endpoint, JsonContent(jsonData)).Result;
-            http.DefaultRequestHeaders.Remove('X-API-Key');
-
-            if (response.IsSuccessStatusCode) {
-                let responseData = JSON.parse(response.Content.ReadAsStringAsync().Result);
-                Logger.ILog(commandName + ' command sent successfully to ' + this.ServiceName);
-                return responseData;
-            } else {
-                let error = response.Content.ReadAsStringAsync().Result;
-                Logger.WLog(this.ServiceName + ' API error: ' + error);
-                return null;
+    /**
+     * Marks a grabbed release as failed: the service blocklists it and searches for another one
+     * @param {number} historyId Id of the grab history record
+     * @returns {boolean}
+     */
+    markHistoryAsFailed(historyId) {
+        const response = this.postJson('history/failed/' + historyId, {});
+        if (!response) return false;
+        Logger.ILog(this.ServiceName + ' history record ' + historyId + ' marked as failed');
+        this.clearCache();
+        return true;
+    }
+
+    /**
+     * Expands a comma-separated tag template: `{Name}` placeholders are read from Variables
+     * (flat keys like `AutoQuality_CRF` or dotted paths like `vi.VideoInfo.VideoStreams.0.Codec`).
+     * Labels are sanitized to the Arr tag format (lowercase letters, digits and dashes); labels with an
+     * unresolved placeholder are skipped.
+     * @param {string} template e.g. "fileflows-av1, fileflows-crf-{AutoQuality_CRF}"
+     * @returns {Array} Tag labels
+     */
+    expandTagTemplate(template) {
+        const labels = [];
+        const parts = String(template || '').split(',');
+        for (let i = 0; i < parts.length; i++) {
+            let missing = false;
+            const expanded = parts[i].replace(/\{([^}]+)\}/g, (match, name) => {
+                const value = this.readVariable(name.trim());
+                if (value === null || value === undefined || value === '') {
+                    missing = true;
+                    return '';
+                }
+                return String(value);
+            });
+            if (missing) {
+                Logger.WLog('Skipping tag "' + parts[i].trim() + '": a variable is not set');
+                continue;
             }
+            const label = expanded
+                .toLowerCase()
+                .replace(/[^a-z0-9-]+/g, '-')
+                .replace(/-{2,}/g, '-')
+                .replace(/^-+|-+$/g, '');
+            if (label && labels.indexOf(label) === -1) labels.push(label);
+        }
+        return labels;
+    }
+
+    readVariable(name) {
+        if (Variables[name] !== undefined && Variables[name] !== null) return Variables[name];
+        const path = name.split('.');
+        let value = Variables;
+        for (let i = 0; i < path.length && value !== null && value !== undefined; i++) {
+            value = value[path[i]];
+        }
+        return value;
+    }
+
+    /**
+     * Returns the ID of the tag with the given label, creating the tag when it doesn't exist yet
+     * @param {string} label Sanitized tag label
+     * @param {Array} existingTags Optional tag list already fetched from the `tag` endpoint
+     * @returns {number|null}
+     */
+    getOrCreateTag(label, existingTags) {
+        const tags = existingTags || this.fetchJson('tag') || [];
+        for (let i = 0; i < tags.length; i++) {
+            if (String(tags[i].label).toLowerCase() === label) return tags[i].id;
+        }
+        const created = this.postJson('tag', { label: label });
+        if (!created || created.id === undefined) {
+            Logger.WLog('Unable to create ' + this.ServiceName + ' tag: ' + label);
+            return null;
+        }
+        Logger.ILog('Created ' + this.ServiceName + ' tag ' + label + ' (' + created.id + ')');
+        tags.push(created);
+        return created.id;
+    }
+
+    /**
+     * Adds tags to items through an editor endpoint (e.g. movie/editor, series/editor)
+     * @param {string} editorEndpoint Editor endpoint
+     * @param {string} idsKey Body key holding the item IDs (movieIds, seriesIds, ...)
+     * @param {Array} itemIds Item IDs
+     * @param {Array} labels Tag labels (see expandTagTemplate)
+     * @returns {boolean} Whether the tags were applied
+     */
+    addTags(editorEndpoint, idsKey, itemIds, labels) {
+        if (!labels || !labels.length) return false;
+        const existingTags = this.fetchJson('tag') || [];
+        const tagIds = [];
+        for (let i = 0; i < labels.length; i++) {
+            const id = this.getOrCreateTag(labels[i], existingTags);
+            if (id !== null && tagIds.indexOf(id) === -1) tagIds.push(id);
+        }
+        if (!tagIds.length) return false;
+
+        const body = { tags: tagIds, applyTags: 'add' };
+        body[idsKey] = itemIds;
+        const response = this.putJson(editorEndpoint, body);
+        if (!response) return false;
+        Logger.ILog(
+            'Tagged ' + this.ServiceName + ' ' + idsKey + ' ' + itemIds.join(',') + ' with ' + labels.join(', ')
+        );
+        return true;
+    }
+
+    getCacheKey(name) {
+        return this.ServiceName + '|' + this.BaseUrl + '|' + name;
+    }
+
+    getCacheFile(key) {
+        // djb2 hash keeps file names short and filesystem-safe
+        let hash = 5381;
+        for (let i = 0; i < key.length; i++) {
+            hash = ((hash << 5) + hash + key.charCodeAt(i)) | 0;
+        }
+        const name = this.ServiceName.toLowerCase() + '-' + (hash >>> 0).toString(16) + '.json';
+        return System.IO.Path.Combine(this.CacheDir, name);
+    }
+
+    readDiskCache(key) {
+        if (!this.CacheTtlSeconds) return null;
+        try {
+            const file = this.getCacheFile(key);
+            if (!System.IO.File.Exists(file)) return null;
+            const entry = JSON.parse(System.IO.File.ReadAllText(file));
+            const ageSeconds = (new Date().getTime() - entry.time) / 1000;
+            if (entry.key !== key || ageSeconds > this.CacheTtlSeconds) return null;
+            Logger.ILog('Using cached ' + this.ServiceName + ' data (' + Math.round(ageSeconds) + 's old): ' + key);
+            return entry.data;
         } catch (err) {
-            Logger.ELog('Exception sending command to ' + this.ServiceName + ': ' + err);
+            Logger.WLog('Unable to read ' + this.ServiceName + ' cache: ' + err);
             return null;
         }
     }
 
+    writeDiskCache(key, data) {
+        if (!this.CacheTtlSeconds) return;
+        try {
+            System.IO.Directory.CreateDirectory(this.CacheDir);
+            const entry = { key: key, time: new Date().getTime(), data: data };
+            System.IO.File.WriteAllText(this.getCacheFile(key), JSON.stringify(entry));
+        } catch (err) {
+            Logger.WLog('Unable to write ' + this.ServiceName + ' cache: ' + err);
+        }
+    }
+
+    /**
+     * Returns a cached value, loading it on a miss. Values live in memory for the script run and,
+     * when `<Service>.CacheTtlSeconds` is set, on disk for that many seconds. Null results are not cached.
+     * @param {string} name Cache entry name (e.g. "movie")
+     * @param {Function} loader () => value
+     * @returns {any}
+     */
+    getCached(name, loader) {
+        const key = this.getCacheKey(name);
+        if (Object.prototype.hasOwnProperty.call(memoryCache, key)) return memoryCache[key];
+
+        let value = this.readDiskCache(key);
+        if (value === null) {
+            value = loader();
+            if (value === null || value === undefined) return value;
+            this.writeDiskCache(key, value);
+        }
+        memoryCache[key] = value;
+        return value;
+    }
+
+    fetchJsonCached(endpoint, queryParameters) {
+        const name = endpoint + (queryParameters ? '?' + queryParameters : '');
+        return this.getCached(name, () => this.fetchJson(endpoint, queryParameters));
+    }
+
+    /**
+     * Drops every cached entry of this service (memory and disk)
+     */
+    clearCache() {
+        const prefix = this.getCacheKey('');
+        for (const key in memoryCache) {
+            if (Object.prototype.hasOwnProperty.call(memoryCache, key) && key.indexOf(prefix) === 0) {
+                delete memoryCache[key];
+            }
+        }
+        if (!this.CacheTtlSeconds) return;
+        try {
+            if (!System.IO.Directory.Exists(this.CacheDir)) return;
+            const files = System.IO.Directory.GetFiles(this.CacheDir, this.ServiceName.toLowerCase() + '-*.json');
+            for (let i = 0; i < files.length; i++) {
+                System.IO.File.Delete(files[i]);
+            }
+        } catch (err) {
+            Logger.WLog('Unable to clear ' + this.ServiceName + ' cache: ' + err);
+        }
+    }
+
     waitForCompletion(commandId, timeoutMs) {
         const startTime = new Date().getTime();
         const timeout = timeoutMs || 30000;
@@ -138,6 +839,44 @@ export class ServiceApi {
         return parts.join('&');
     }
 
+    /**
+     * Walks a paged endpoint (history, queue, ...) until the visitor returns a result or the pages run out
+     * @param {string} endpoint Paged endpoint (returns { page, pageSize, totalRecords, records })
+     * @param {Object} extraParams Extra query parameters
+     * @param {Function} visitor (records, page) => result; a non-null result stops paging and is returned
+     * @param {number} pageSize Optional page size (default 1000)
+     * @returns {any} The visitor result or null
+     */
+    fetchPaged(endpoint, extraParams, visitor, pageSize) {
+        const size = pageSize || 1000;
+        let page = 1;
+
+        while (true) {
+            const paramsToBuild = {
+                page: page,
+                pageSize: size
+            };
+            if (extraParams) {
+                for (const key in extraParams) {
+                    if (Object.prototype.hasOwnProperty.call(extraParams, key)) {
+                        paramsToBuild[key] = extraParams[key];
+                    }
+                }
+            }
+
+            const json = this.fetchJson(endpoint, this.buildQueryParams(paramsToBuild));
+            if (!json || !json.records || json.records.length === 0) return null;
+
+            const result = visitor(json.records, page);
+            if (result !== null && result !== undefined) return result;
+
+            const total = parseInt(json.totalRecords, 10);
+            if (json.records.length < size) return null;
+            if (!isNaN(total) && page * size >= total) return null;
+            page++;
+        }
+    }
+
     /**
      * Generic search method for Queue or History
      * @param {string} endpoint "queue" or "history"
@@ -147,8 +886,6 @@ export class ServiceApi {
      * @param {Function} resultMapper (item) => result object
      */
     searchApi(endpoint, searchPattern, matchFunction, extraParams, resultMapper) {
-        let page = 1;
-        const pageSize = 1000;
         let sp = (searchPattern || '').toLowerCase();
 
         if (!sp) {
@@ -157,41 +894,12 @@ export class ServiceApi {
         }
 
         try {
-            while (true) {
-                const paramsToBuild = {
-                    page: page,
-                    pageSize: pageSize
-                };
-                if (extraParams) {
-                    for (const key in extraParams) {
-                        if (Object.prototype.hasOwnProperty.call(extraParams, key)) {
-                            paramsToBuild[key] = extraParams[key];
-                        }
-                    }
-                }
-                const queryParams = this.buildQueryParams(paramsToBuild);
-
-                const json = this.fetchJson(endpoint, queryParams);
-                if (!json || !json.records) break;
-
-                const items = json.records;
-                if (items.length === 0) {
-                    Logger.WLog(`Reached the end of ${endpoint} with no match.`);
-                    break;
-                }
-
+            const result = this.fetchPaged(endpoint, extraParams, (items) => {
                 const matchingItem = items.find((item) => matchFunction(item, sp));
-                if (matchingItem) {
-                    return resultMapper(matchingItem);
-                }
-
-                if (endpoint === 'queue') {
-                    Logger.WLog(`Reached the end of ${endpoint} with no match.`);
-                    break;
-                }
-
-                page++;
-            }
+                return matchingItem ? resultMapper(matchingItem) : null;
+            });
+            if (!result) Logger.WLog(`Reached the end of ${endpoint} with no match.`);
+            return result;
         } catch (error) {
             Logger.ELog(`Error fetching ${this.ServiceName} ${endpoint}: ${error.message}`);
         }
@@ -1,124 +1,22 @@
+import { ServiceApi } from 'Shared/ServiceApi';
+import { LanguageResolver } from 'Shared/LanguageResolver';
+import { TitleMatcher } from 'Shared/TitleMatcher';
+
 /**
  * @name SonarrVc
  * @uid 7035484E-138F-4C2D-8D33-235744A27C35
  * @description Class that interacts with Sonarr
  * @author Vincent Courcelle
- * @revision 12
+ * @revision 24
  * @minimumVersion 1.0.0.0
  */
-export class SonarrVc {
+export class SonarrVc extends ServiceApi {
     constructor(BaseUrl, ApiKey) {
-        this.ServiceName = 'Sonarr';
-        this.BaseUrl = BaseUrl || Variables['Sonarr.Url'];
-        this.ApiKey = ApiKey || Variables['Sonarr.ApiKey'];
-        if (!this.BaseUrl) MissingVariable('Sonarr.Url');
-        if (!this.ApiKey) MissingVariable('Sonarr.ApiKey');
-    }
-
-    getUrl(endpoint, queryParameters) {
-        let url = '' + this.BaseUrl;
-        if (url.endsWith('/') === false) url += '/';
-        url = url + 'api/v3/' + endpoint + '?apikey=' + this.ApiKey;
-        if (queryParameters) url += '&' + queryParameters;
-        return url;
-    }
-
-    fetchString(url) {
-        try {
-            const response = http.GetAsync(url).Result;
-            const body = response.Content.ReadAsStringAsync().Result;
-            if (!response.IsSuccessStatusCode) {
-                Logger.WLog(
-                    'Unable to fetch ' +
-                        this.ServiceName +
-                        ' API: ' +
-                        url +
-                        '\nStatus: ' +
-                        response.StatusCode +
-                        '\n' +
-                        body
-                );
-                return null;
-            }
-            return body;
-        } catch (err) {
-            Logger.ELog('Exception fetching ' + this.ServiceName + ' API: ' + err);
-            return null;
-        }
-    }
-
-    fetchJson(endpoint, queryParameters) {
-        const url = this.getUrl(endpoint, queryParameters);
-        const json = this.fetchString(url);
-        if (!json) return null;
-        try {
-            return JSON.parse(json);
-        } catch (err) {
-            Logger.ELog('Failed to parse JSON from ' + this.ServiceName + ' API: ' + err);
-            return null;
-        }
-    }
-
-    sendCommand(commandName, commandBody) {
-        let endpoint = this.BaseUrl + '/api/v3/command';
-        if (this.BaseUrl.endsWith('/')) endpoint = this.BaseUrl + 'api/v3/command';
-        commandBody['name'] = commandName;
-        const jsonData = JSON.stringify(commandBody);
-        try {
-            http.DefaultRequestHeaders.Add('X-API-Key', this.ApiKey);
-            const response = http.PostAsync(endpoint, JsonContent(jsonData)).Result;
-            http.DefaultRequestHeaders.Remove('X-API-Key');
-            if (response.IsSuccessStatusCode) {
-                const responseData = JSON.parse(response.Content.ReadAsStringAsync().Result);
-                Logger.ILog(commandName + ' command sent successfully to ' + this.ServiceName);
-                return responseData;
-            } else {
-                const error = response.Content.ReadAsStringAsync().Result;
-                Logger.WLog(this.ServiceName + ' API error: ' + error);
-                return null;
-            }
-        } catch (err) {
-            Logger.ELog('Exception sending command to ' + this.ServiceName + ': ' + err);
-            return null;
-        }
-    }
-
-    waitForCompletion(commandId, timeoutMs) {
-        const startTime = new Date().getTime();
-        const timeout = timeoutMs || 30000;
-        const endpoint = 'command/' + commandId;
-        while (new Date().getTime() - startTime <= timeout) {
-            const response = this.fetchJson(endpoint, '');
-            if (response) {
-                if (response.status === 'completed') {
-                    Logger.ILog(this.ServiceName + ' command completed!');
-                    return true;
-                } else if (response.status === 'failed') {
-                    Logger.WLog(this.ServiceName + ' command ' + commandId + ' failed');
-                    return false;
-                }
-                Logger.ILog('Checking ' + this.ServiceName + ' status: ' + response.status);
-            }
-            Sleep(500);
-        }
-        Logger.WLog(
-            'Timeout: ' + this.ServiceName + ' command ' + commandId + ' did not complete within ' + timeout + 'ms.'
-        );
-        return false;
-    }
-
-    buildQueryParams(params) {
-        const parts = [];
-        for (const key in params) {
-            if (Object.prototype.hasOwnProperty.call(params, key)) {
-                parts.push(encodeURIComponent(key) + '=' + encodeURIComponent(params[key]));
-            }
-        }
-        return parts.join('&');
+        super(BaseUrl, ApiKey, 'Sonarr');
     }
 
     getAllShows() {
-        const shows = this.fetchJson('series');
+        const shows = this.fetchJsonCached('series');
         if (!shows || !shows.length) {
             Logger.WLog('No shows found');
             return [];
@@ -130,10 +28,9 @@ export class SonarrVc {
         if (!path) return null;
         const shows = this.getAllShows();
         if (!shows || !shows.length) return null;
-        const cp = path.toString().toLowerCase();
         for (let i = 0; i < shows.length; i++) {
             const x = shows[i];
-            if (x.path && x.path.toLowerCase().indexOf(cp) !== -1) {
+            if (this.pathContains(x.path, path.toString())) {
                 Logger.ILog('Found show: ' + x.id);
                 return x;
             }
@@ -150,20 +47,35 @@ export class SonarrVc {
         return files;
     }
 
+    /**
+     * Returns every episode file of the library, each with its `show` attached.
+     * The index is cached (see ServiceApi.getCached) since it costs one request per series.
+     * @returns {Array} Episode files
+     */
     getAllFiles() {
         const shows = this.getAllShows();
-        const files = [];
-        for (let i = 0; i < shows.length; i++) {
-            const show = shows[i];
-            const sfiles = this.getFilesInShow(show);
-            if (sfiles && sfiles.length) {
+        const files = this.getCached('episodefile-index', () => {
+            const index = [];
+            for (let i = 0; i < shows.length; i++) {
+                const show = shows[i];
+                const sfiles = this.getFilesInShow(show);
                 for (let j = 0; j < sfiles.length; j++) {
-                    sfiles[j].show = show;
-                    files.push(sfiles[j]);
+                    sfiles[j].seriesId = sfiles[j].seriesId || show.id;
+                    index.push(sfiles[j]);
                 }
             }
+            Logger.ILog('Number of show files found: ' + index.length);
+            return index;
+        });
+        if (!files) return [];
+
+        const showsById = {};
+        for (let i = 0; i < shows.length; i++) {
+            showsById[shows[i].id] = shows[i];
+        }
+        for (let i = 0; i < files.length; i++) {
+            files[i].show = showsById[files[i].seriesId];
         }
-        Logger.ILog('Number of show files found: ' + files.length);
         return files;
     }
 
@@ -171,10 +83,9 @@ export class SonarrVc {
         if (!path) return null;
         const files = this.getAllFiles();
         if (!files || !files.length) return null;
-        const cp = path.toString().toLowerCase();
         for (let i = 0; i < files.length; i++) {
             const x = files[i];
-            if (x.path && x.path.toLowerCase().indexOf(cp) !== -1) {
+            if (this.pathContains(x.path, path.toString())) {
                 Logger.ILog('Found show file: ' + x.id);
                 return x;
             }
@@ -199,39 +110,63 @@ export class SonarrVc {
     getOriginalLanguageFromPath(path) {
         if (!path) return null;
         const showfile = this.getShowFileByPath(path.toString());
-        if (!showfile || !showfile.show || !showfile.show.imdbId) return null;
-        const imdbId = showfile.show.imdbId;
-        const html = this.fetchString('https://www.imdb.com/title/' + imdbId + '/');
-        if (!html) return null;
-        const languages = html.match(/title-details-languages(.*?)<\/li>/);
-        if (!languages) return null;
-        const languageMatch = languages[1].match(/primary_language=([\w]+)&/);
-        return languageMatch ? languageMatch[1] : null;
+        if (!showfile || !showfile.show) return null;
+        const resolved = this.resolveOriginalLanguage(showfile.show, path.toString());
+        return resolved ? resolved.language : null;
+    }
+
+    /**
+     * Resolves the original language of a series: Sonarr's own field first, then the LanguageResolver chain
+     * (earlier answers cached by TVDB/TMDb/IMDb ID, NFO files, heuristics); the order is set by `LanguageResolver.Order`
+     * @param {Object} series Sonarr series
+     * @param {string} path Optional media file path (used by the NFO source)
+     * @returns {Object|null} { language, source }
+     */
+    resolveOriginalLanguage(series, path) {
+        const resolver = new LanguageResolver();
+        resolver.register('arr', () => {
+            const name = series.originalLanguage && series.originalLanguage.name;
+            return name && name !== 'Unknown' ? name : null;
+        });
+        return resolver.resolve({
+            ids: { tvdb: series.tvdbId, tmdb: series.tmdbId, imdb: series.imdbId },
+            path: path,
+            genres: series.genres
+        });
     }
 
     fetchRenamedFiles(seriesId) {
         return this.fetchJson('rename', 'seriesId=' + seriesId);
     }
 
-    toggleMonitored(episodeIds, monitored) {
-        const isMonitored = monitored === undefined ? true : monitored;
-        let endpoint = this.BaseUrl + '/api/v3/episode/monitor';
-        if (this.BaseUrl.endsWith('/')) endpoint = this.BaseUrl + 'api/v3/episode/monitor';
-        const jsonData = JSON.stringify({ episodeIds: episodeIds, monitored: isMonitored });
-        try {
-            http.DefaultRequestHeaders.Add('X-API-Key', this.ApiKey);
-            const response = http.PutAsync(endpoint, JsonContent(jsonData)).Result;
-            http.DefaultRequestHeaders.Remove('X-API-Key');
-            if (response.IsSuccessStatusCode) {
-                Logger.ILog('Monitored toggled for ' + episodeIds);
-                const responseData = JSON.parse(response.Content.ReadAsStringAsync().Result);
-                return responseData;
-            }
-            return null;
-        } catch (err) {
-            Logger.ELog('Exception toggling monitor: ' + err);
+    /**
+     * Renames the given episode files when Sonarr's naming scheme gives a different name
+     * @param {number} seriesId Sonarr series ID
+     * @param {Array} episodeFileIds Only these episode files are renamed
+     * @returns {Object|null} { command, renames } or null when nothing needs renaming
+     */
+    renameEpisodeFiles(seriesId, episodeFileIds) {
+        const all = this.fetchRenamedFiles(seriesId) || [];
+        const renames = all.filter((r) => episodeFileIds.indexOf(r.episodeFileId) !== -1);
+        if (!renames.length) {
+            Logger.ILog('No rename needed for episode files ' + episodeFileIds.join(','));
             return null;
         }
+        for (let i = 0; i < renames.length; i++) {
+            Logger.ILog('Renaming ' + renames[i].existingPath + ' -> ' + renames[i].newPath);
+        }
+        const command = this.sendCommand('RenameFiles', {
+            seriesId: seriesId,
+            files: renames.map((r) => r.episodeFileId)
+        });
+        return { command: command, renames: renames };
+    }
+
+    toggleMonitored(episodeIds, monitored) {
+        const isMonitored = monitored === undefined ? true : monitored;
+        const responseData = this.putJson('episode/monitor', { episodeIds: episodeIds, monitored: isMonitored });
+        if (responseData) Logger.ILog('Monitored toggled for ' + episodeIds);
+        return responseData;
     }
 
     rescanSeries(seriesId) {
@@ -247,42 +182,74 @@ export class SonarrVc {
         return this.getShowByPath(searchPattern);
     }
 
-    searchInQueue(searchPattern) {
-        const sp = (searchPattern || '').toLowerCase();
-        if (!sp) return null;
-        const queryParams = 'includeSeries=true';
-        const json = this.fetchJson('queue', queryParams);
-        if (!json || !json.records) return null;
-        const items = json.records;
-        for (let i = 0; i < items.length; i++) {
-            const item = items[i];
-            if (item.outputPath && item.outputPath.toLowerCase().indexOf(sp) !== -1) {
+    /**
+     * Fuzzy-matches a file/folder name against the titles (alternate ones too) and years of the library
+     * @param {string} name File or folder name, e.g. "The.Office.US.S02E03.720p" or "Doctor Who (2005)"
+     * @returns {Object|null} Sonarr series, null when no title is close enough or the match is ambiguous
+     */
+    searchSeriesByTitle(name) {
+        const shows = this.getAllShows();
+        if (!name || !shows.length) return null;
+        const series = new TitleMatcher().findBest(
+            name,
+            shows,
+            (x) => [x.title].concat((x.alternateTitles || []).map((t) => t.title)),
+            (x) => x.year
+        );
+        if (series) Logger.ILog('Found TV Show by title: ' + series.title);
+        return series;
+    }
+
+    /**
+     * Finds the series of a queued download whose output path matches the pattern
+     * @param {string} searchPattern File or folder name
+     * @param {boolean} returnRecord Return the queue record (downloadId, ...) instead of the series
+     */
+    searchInQueue(searchPattern, returnRecord) {
+        return this.searchApi(
+            'queue',
+            searchPattern,
+            (item, sp) => this.pathContains(item.outputPath, sp),
+            { includeSeries: true },
+            (item) => {
                 Logger.ILog('Found TV Show in Queue: ' + item.series.title);
-                return item.series;
+                return returnRecord ? item : item.series;
             }
-        }
-        return null;
+        );
     }
 
-    searchInDownloadHistory(searchPattern) {
-        const sp = (searchPattern || '').toLowerCase();
-        if (!sp) return null;
-        let page = 1;
-        while (true) {
-            const queryParams = 'page=' + page + '&pageSize=1000&eventType=3&includeSeries=true';
-            const json = this.fetchJson('history', queryParams);
-            if (!json || !json.records || json.records.length === 0) break;
-            const items = json.records;
-            for (let i = 0; i < items.length; i++) {
-                const item = items[i];
-                if (item.data && item.data.droppedPath && item.data.droppedPath.toLowerCase().indexOf(sp) !== -1) {
-                    Logger.ILog('Found TV Show in History: ' + item.series.title);
-                    return item.series;
-                }
+    /**
+     * Finds the series of an imported download whose dropped path matches the pattern
+     * @param {string} searchPattern File or folder name
+     * @param {boolean} returnRecord Return the import history record (downloadId, ...) instead of the series
+     */
+    searchInDownloadHistory(searchPattern, returnRecord) {
+        return this.searchApi(
+            'history',
+            searchPattern,
+            (item, sp) => !!item.data && this.pathContains(item.data.droppedPath, sp),
+            { eventType: 3, includeSeries: true },
+            (item) => {
+                Logger.ILog('Found TV Show in History: ' + item.series.title);
+                return returnRecord ? item : item.series;
             }
-            page++;
+        );
+    }
+
+    /**
+     * Asks Sonarr to parse a release/file name (works for files Sonarr has never seen)
+     * @param {string} title Release or file name
+     * @returns {Object|null} Parse result { title, parsedEpisodeInfo, series, episodes } when a series was resolved
+     */
+    parseRelease(title) {
+        if (!title) return null;
+        const parsed = this.fetchJson('parse', this.buildQueryParams({ title: title }));
+        if (!parsed || !parsed.series) {
+            Logger.ILog('Sonarr could not parse a known series from: ' + title);
+            return null;
         }
-        return null;
+        Logger.ILog('Parsed TV Show from release name: ' + parsed.series.title);
+        return parsed;
     }
 
     refreshSeries(seriesId) {
@@ -315,13 +282,7 @@ export class SonarrVc {
         if (!response || !Array.isArray(response)) return null;
         for (let i = 0; i < response.length; i++) {
             const file = response[i];
-            if (
-                file.path &&
-                (file.path.endsWith(currentFileName) ||
-                    file.path.endsWith('\\' + currentFileName) ||
-                    file.path.endsWith('/' + currentFileName)) &&
-                file.episodes.length === 0
-            ) {
+            if (this.pathEndsWith(file.path, currentFileName) && file.episodes.length === 0) {
                 return file;
             }
         }
@@ -332,10 +293,7 @@ export class SonarrVc {
         const allFiles = this.getFilesInShow(series);
         for (let i = 0; i < allFiles.length; i++) {
             const file = allFiles[i];
-            if (
-                file.path &&
-                (file.path.endsWith(path) || file.path.endsWith('\\' + path) || file.path.endsWith('/' + path))
-            ) {
+            if (this.pathEndsWith(file.path, path)) {
                 return file;
             }
         }
@@ -354,29 +312,101 @@ export class SonarrVc {
     }
 
     /**
-     * Updates the series metadata in the global variables based on the Sonarr series data
+     * Returns every episode stored in the given file (multi-episode files return several)
+     * @param {string} path File path or name
+     * @param {Object} series Sonarr series
+     * @returns {Array} Episodes, empty when the file is not in Sonarr's library
+     */
+    fetchEpisodesForFile(path, series) {
+        if (!path || !series) return [];
+        const episodeFile = this.fetchEpisodeFile(path, series);
+        if (!episodeFile) return [];
+        const episodes = this.fetchJson('episode', 'episodeFileId=' + episodeFile.id);
+        return episodes && episodes.length ? episodes : [];
+    }
+
+    tagSeries(seriesId, labels) {
+        return this.addTags('series/editor', 'seriesIds', [seriesId], labels);
+    }
+
+    /**
+     * Updates the series and episode metadata in the global variables based on the Sonarr data
      * @param {Object} series - Series object returned from Sonarr API
+     * @param {Array} episodes - Optional episodes contained in the file (see fetchEpisodesForFile / parseRelease)
+     * @param {Object} parsedEpisodeInfo - Optional `parsedEpisodeInfo` of parseRelease, for the season/episode numbers
+     * when Sonarr resolved the series but has no episode entries (unmonitored or not in its database yet)
      */
-    updateMetadata(series) {
-        const language = series.originalLanguage ? LanguageHelper.GetIso1Code(series.originalLanguage.name) : 'en';
+    updateMetadata(series, episodes, parsedEpisodeInfo) {
+        const filePath = Variables.file && Variables.file.Orig ? Variables.file.Orig.FullName : null;
+        const resolved = this.resolveOriginalLanguage(series, filePath);
+        const language = resolved ? LanguageHelper.GetIso1Code(resolved.language) : 'en';
+        if (!resolved) Variables['LanguageResolver.Source'] = 'default';
+        const eps = episodes && episodes.length ? episodes : [];
+        const first = eps.length ? eps[0] : null;
+        const info = !first && parsedEpisodeInfo ? parsedEpisodeInfo : {};
+        const absoluteNumbers = info.absoluteEpisodeNumbers || [];
+        const parsedNumbers = info.episodeNumbers && info.episodeNumbers.length ? info.episodeNumbers : absoluteNumbers;
+        const airDate = first
+            ? first.airDate || (first.airDateUtc ? first.airDateUtc.substring(0, 10) : null)
+            : info.airDate || null;
+        const airYear = airDate ? parseInt(airDate.substring(0, 4), 10) : null;
 
-        Variables['movie.Title'] = series.title;
-        Variables['movie.Year'] = series.year;
         Variables['movie.SonarrId'] = series.id;
+        Variables['tv.Title'] = series.title;
+        Variables['tv.Year'] = series.year;
+        Variables['tv.Network'] = series.network || null;
+        if (first) {
+            Variables['tv.Season'] = first.seasonNumber;
+            Variables['tv.Episode'] = first.episodeNumber;
+            Variables['tv.AbsoluteEpisode'] = first.absoluteEpisodeNumber || null;
+        } else {
+            Variables['tv.Season'] = typeof info.seasonNumber === 'number' ? info.seasonNumber : null;
+            Variables['tv.Episode'] = parsedNumbers.length ? parsedNumbers[0] : null;
+            Variables['tv.AbsoluteEpisode'] = absoluteNumbers.length ? absoluteNumbers[0] : null;
+            if (parsedNumbers.length) {
+                Logger.ILog(
+                    'Episode not in Sonarr, using the parsed numbers: Season ' +
+                        Variables['tv.Season'] +
+                        ' Episode(s) ' +
+                        parsedNumbers.join(',')
+                );
+            }
+        }
+        Variables['tv.EpisodeTitle'] = eps
+            .map((e) => e.title)
+            .filter((t) => !!t)
+            .join(' / ');
+        Variables['tv.EpisodeOverview'] = first ? first.overview || null : null;
+        Variables['tv.AirDate'] = airDate;
+        Variables['tv.Runtime'] = (first && first.runtime) || series.runtime || null;
+        Variables['tv.EpisodeIds'] = eps.map((e) => e.id);
+
         Variables.VideoMetadata = {
             Title: series.title,
             Description: series.overview,
             Year: series.year,
-            ReleaseDate: series.firstAired,
+            // Sonarr v3 series have no firstAired; prefer the episode air date
+            ReleaseDate: airDate || series.firstAired || null,
+            AirYear: airYear,
             OriginalLanguage: language,
-            Genres: series.genres
+            Genres: series.genres,
+            Network: series.network || null,
+            Season: Variables['tv.Season'],
+            Episode: Variables['tv.Episode'],
+            AbsoluteEpisode: Variables['tv.AbsoluteEpisode'],
+            EpisodeTitle: Variables['tv.EpisodeTitle'],
+            EpisodeOverview: Variables['tv.EpisodeOverview'],
+            Runtime: Variables['tv.Runtime']
         };
 
         Variables.TVShowInfo = series;
+        Variables.TVEpisodeInfo = eps;
         Variables.OriginalLanguage = language;
 
         Logger.ILog('Detected VideoMetadata: ' + JSON.stringify(Variables.VideoMetadata));
         Logger.ILog('Detected TVShowInfo: ' + JSON.stringify(Variables.TVShowInfo));
-        Logger.ILog('Detected Original Language: ' + language);
+        Logger.ILog(
+            'Detected Original Language: ' + language + ' (source: ' + (resolved ? resolved.source : 'default') + ')'
+        );
     }
 }
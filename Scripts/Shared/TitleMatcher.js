@@ -0,0 +1,218 @@
+import { ScriptHelpers } from 'Shared/ScriptHelpers';
+
+/**
+ * @name TitleMatcher
+ * @uid B84C2E17-5D3A-4F90-8E6B-1A7C9D2F4E53
+ * @description Fuzzy title/year matching of file names against Arr library entries, with scoring and ambiguity rejection
+ * @author Vincent Courcelle
+ * @revision 1
+ * @minimumVersion 1.0.0.0
+ */
+export class TitleMatcher {
+    /**
+     * @param {number} minScore Lowest accepted score (0-1); defaults to `Variables['TitleMatcher.MinScore']` or 0.8
+     * @param {number} minMargin Lowest lead over the runner-up; defaults to `Variables['TitleMatcher.MinMargin']` or 0.1
+     */
+    constructor(minScore, minMargin) {
+        this.helpers = new ScriptHelpers();
+        this.MinScore = this.readNumber(minScore, 'TitleMatcher.MinScore', 0.8);
+        this.MinMargin = this.readNumber(minMargin, 'TitleMatcher.MinMargin', 0.1);
+    }
+
+    readNumber(value, variableName, defaultValue) {
+        const n = parseFloat(value !== undefined && value !== null ? value : Variables[variableName]);
+        return isNaN(n) ? defaultValue : Math.min(1, Math.max(0, n));
+    }
+
+    /**
+     * Lowercases and strips a title down to comparable words: no diacritics, punctuation or leading article,
+     * roman numerals (II-XX) as digits. "Les Misérables", "Rocky II" and "Spider-Man" become
+     * "miserables", "rocky 2" and "spider man".
+     * @param {string} title
+     * @returns {string}
+     */
+    normalizeTitle(title) {
+        let s = String(title || '').toLowerCase();
+        if (typeof s.normalize === 'function') s = s.normalize('NFD');
+        s = s
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/æ/g, 'ae')
+            .replace(/œ/g, 'oe')
+            .replace(/ø/g, 'o')
+            .replace(/ß/g, 'ss')
+            .replace(/&/g, ' and ')
+            .replace(/\b([ld])['’](?=[a-z])/g, '$1 ')
+            .replace(/['’`]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+
+        const numerals = {
+            ii: 2,
+            iii: 3,
+            iv: 4,
+            vi: 6,
+            vii: 7,
+            viii: 8,
+            ix: 9,
+            xi: 11,
+            xii: 12,
+            xiii: 13,
+            xiv: 14,
+            xv: 15,
+            xvi: 16,
+            xvii: 17,
+            xviii: 18,
+            xix: 19,
+            xx: 20
+        };
+        const words = s.split(' ').map((w) => (numerals[w] ? String(numerals[w]) : w));
+        const articles = ['the', 'a', 'an', 'le', 'la', 'les', 'l', 'der', 'die', 'das', 'el', 'los', 'las', 'il'];
+        if (words.length > 1 && articles.indexOf(words[0]) !== -1) words.shift();
+        return words.join(' ');
+    }
+
+    /**
+     * Splits a release/file/folder name into its title and year, e.g.
+     * "The.Matrix.1999.1080p.BluRay" or "The Matrix (1999)" → { title: "The Matrix", year: 1999 }
+     * @param {string} name File or folder name (or path)
+     * @returns {Object} { title, year }
+     */
+    parseName(name) {
+        const base = String(name || '')
+            .split('/')
+            .pop()
+            .split('\\')
+            .pop();
+        let year = this.helpers.extractYearFromFilename(base) || this.helpers.extractYearFromFilename(base + '.');
+        let yearIndex = year ? (base + '.').indexOf('.' + year + '.') : -1;
+        if (!year) {
+            const m = base.match(/[\s._([](19\d{2}|20\d{2})(?=[\s._)\]]|$)/);
+            if (m && m.index > 0) {
+                year = parseInt(m[1], 10);
+                yearIndex = m.index;
+            }
+        }
+
+        let title = yearIndex > 0 ? base.substring(0, yearIndex) : base;
+        const stop = title.match(
+            /[\s._-](s\d{1,2}e\d{1,3}|s\d{1,2}|\d{1,2}x\d{2,3}|2160p|1080p|720p|576p|480p|bluray|blu-ray|bdrip|web-?dl|webrip|hdtv|dvdrip|remux|x26[45]|h\.?26[45]|hevc|proper|repack)\b/i
+        );
+        if (stop && stop.index > 0) title = title.substring(0, stop.index);
+        title = title
+            .replace(/\[[^\]]*\]|\{[^}]*\}|\([^)]*\)/g, ' ')
+            .replace(/[._]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+        return { title: title, year: year || null };
+    }
+
+    /**
+     * Dice coefficient of the character bigrams of two normalized titles (spaces ignored), 1 when equal
+     * @returns {number} 0-1
+     */
+    similarity(a, b) {
+        const x = String(a || '').replace(/ /g, '');
+        const y = String(b || '').replace(/ /g, '');
+        if (!x || !y) return 0;
+        if (x === y) return 1;
+        if (x.length < 2 || y.length < 2) return 0;
+
+        const bigrams = {};
+        for (let i = 0; i < x.length - 1; i++) {
+            const g = x.substr(i, 2);
+            bigrams[g] = (bigrams[g] || 0) + 1;
+        }
+        let common = 0;
+        for (let i = 0; i < y.length - 1; i++) {
+            const g = y.substr(i, 2);
+            if (bigrams[g] > 0) {
+                bigrams[g]--;
+                common++;
+            }
+        }
+        return (2 * common) / (x.length - 1 + (y.length - 1));
+    }
+
+    /**
+     * Weight applied to the title similarity depending on the years (same year, off by one, unknown, different)
+     * @returns {number}
+     */
+    yearFactor(year, candidateYear) {
+        if (!year || !candidateYear) return 0.9;
+        const diff = Math.abs(year - candidateYear);
+        if (diff === 0) return 1;
+        if (diff === 1) return 0.95;
+        return 0.6;
+    }
+
+    /**
+     * Scores every candidate against a name, best first
+     * @param {string} name File or folder name
+     * @param {Array} candidates Library entries (movies, series)
+     * @param {Function} getTitles (candidate) => Array of titles (main, original, alternates)
+     * @param {Function} getYear (candidate) => year
+     * @returns {Array} [{ item, title, year, score }]
+     */
+    rank(name, candidates, getTitles, getYear) {
+        const parsed = this.parseName(name);
+        const wanted = this.normalizeTitle(parsed.title);
+        if (!wanted) return [];
+
+        const ranked = [];
+        for (let i = 0; i < (candidates || []).length; i++) {
+            const item = candidates[i];
+            const titles = (getTitles(item) || []).filter((t) => !!t);
+            let best = 0;
+            let bestTitle = titles[0];
+            for (let j = 0; j < titles.length; j++) {
+                const s = this.similarity(wanted, this.normalizeTitle(titles[j]));
+                if (s > best) {
+                    best = s;
+                    bestTitle = titles[j];
+                }
+            }
+            if (best <= 0) continue;
+            const year = getYear(item);
+            ranked.push({ item: item, title: bestTitle, year: year, score: best * this.yearFactor(parsed.year, year) });
+        }
+        ranked.sort((a, b) => b.score - a.score);
+        return ranked;
+    }
+
+    logCandidates(name, ranked, count) {
+        const parsed = this.parseName(name);
+        const year = parsed.year ? ' (' + parsed.year + ')' : '';
+        Logger.ILog(`Title match for "${parsed.title}"${year}, top candidates:`);
+        const top = ranked.slice(0, count || 5);
+        if (!top.length) Logger.ILog('  (none)');
+        for (let i = 0; i < top.length; i++) {
+            const c = top[i];
+            Logger.ILog('  ' + (i + 1) + '. ' + c.title + ' (' + (c.year || '?') + ') score ' + c.score.toFixed(3));
+        }
+    }
+
+    /**
+     * Returns the best candidate when it scores at least MinScore and leads the runner-up by MinMargin
+     * @param {string} name File or folder name
+     * @param {Array} candidates Library entries
+     * @param {Function} getTitles (candidate) => Array of titles
+     * @param {Function} getYear (candidate) => year
+     * @returns {Object|null} The matching candidate
+     */
+    findBest(name, candidates, getTitles, getYear) {
+        const ranked = this.rank(name, candidates, getTitles, getYear);
+        this.logCandidates(name, ranked, 5);
+        if (!ranked.length) return null;
+
+        const best = ranked[0];
+        if (best.score < this.MinScore) {
+            Logger.ILog('Best title match ' + best.title + ' is below the minimum score ' + this.MinScore);
+            return null;
+        }
+        if (ranked.length > 1 && best.score - ranked[1].score < this.MinMargin) {
+            Logger.WLog('Ambiguous title match between ' + best.title + ' and ' + ranked[1].title + ', ignoring');
+            return null;
+        }
+        return best.item;
+    }
+}
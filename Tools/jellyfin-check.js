@@ -0,0 +1,258 @@
+/**
+ * End-to-end check of `Shared/JellyfinVc.js` against the Jellyfin stub: starts `Tools/jellyfin-stub.js`, runs
+ * `Media Server - Refresh Item` (search -> item refresh, and the folder scan fallback for a renamed file) with the
+ * Jellyfin and the Emby headers, then checks the requests the stub recorded (GET /__requests).
+ *
+ * Usage: npm run check:jellyfin (PORT, default 18096). Exits with 1 when a check fails.
+ */
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const port = parseInt(process.env.PORT || '18096', 10);
+const apiKey = 'stub-key';
+const baseUrl = 'http://127.0.0.1:' + port;
+const scriptsDir = path.join(__dirname, '..', 'Scripts');
+const scriptFiles = [
+    'Shared/ServiceApi.js',
+    'Shared/JellyfinVc.js',
+    'Flow/Applications/MediaServer/Media Server - Refresh Item.js'
+];
+
+// FileFlows' http client is synchronous: each request runs in a short-lived node process
+const requestCode = `
+let input = '';
+process.stdin.on('data', (chunk) => (input += chunk));
+process.stdin.on('end', async () => {
+    const req = JSON.parse(input);
+    try {
+        const res = await fetch(req.url, { method: req.method, headers: req.headers, body: req.body });
+        process.stdout.write(JSON.stringify({ status: res.status, text: await res.text() }));
+    } catch (err) {
+        process.stdout.write(JSON.stringify({ error: String(err) }));
+    }
+});`;
+
+function sendSync(method, url, headers, body) {
+    const input = JSON.stringify({ method: method, url: url, headers: headers, body: body });
+    const out = childProcess.spawnSync(process.execPath, ['-e', requestCode], { input: input, timeout: 10000 });
+    const result = JSON.parse(String(out.stdout || '{}') || '{}');
+    if (!result.status) throw new Error(result.error || 'No response from ' + url);
+    return {
+        Result: {
+            IsSuccessStatusCode: result.status >= 200 && result.status < 300,
+            StatusCode: result.status,
+            Content: { ReadAsStringAsync: () => ({ Result: result.text }) }
+        }
+    };
+}
+
+function createHttp() {
+    const headers = {};
+    const withBody = (method) => (url, content) =>
+        sendSync(method, url, Object.assign({ 'Content-Type': 'application/json' }, headers), content);
+    return {
+        DefaultRequestHeaders: {
+            Add: (name, value) => (headers[name] = value),
+            Remove: (name) => delete headers[name]
+        },
+        GetAsync: (url) => sendSync('GET', url, headers),
+        DeleteAsync: (url) => sendSync('DELETE', url, headers),
+        PostAsync: withBody('POST'),
+        PutAsync: withBody('PUT'),
+        PatchAsync: withBody('PATCH')
+    };
+}
+
+const systemIo = {
+    Path: {
+        Combine: (...parts) => path.join(...parts),
+        GetTempPath: () => require('os').tmpdir(),
+        GetDirectoryName: (p) => path.posix.dirname(p)
+    },
+    File: {
+        Exists: (f) => fs.existsSync(f) && fs.statSync(f).isFile(),
+        ReadAllText: (f) => fs.readFileSync(f, 'utf8'),
+        WriteAllText: (f, text) => fs.writeFileSync(f, text),
+        Delete: (f) => fs.unlinkSync(f)
+    },
+    Directory: {
+        Exists: (d) => fs.existsSync(d),
+        CreateDirectory: (d) => fs.mkdirSync(d, { recursive: true }),
+        GetFiles: () => []
+    }
+};
+
+/**
+ * Loads the scripts in a fresh context (no cache shared between runs), with imports and exports stripped the
+ * way FileFlows bundles them
+ */
+function runScript(variables, key) {
+    const log = [];
+    const context = vm.createContext({
+        Variables: variables,
+        Logger: {
+            ILog: (...a) => log.push('INFO ' + a.join(' ')),
+            WLog: (...a) => log.push('WARN ' + a.join(' ')),
+            ELog: (...a) => log.push('ERROR ' + a.join(' ')),
+            DLog: (...a) => log.push('DEBUG ' + a.join(' '))
+        },
+        Sleep: () => {},
+        MissingVariable: (name) => {
+            throw new Error('Missing variable ' + name);
+        },
+        JsonContent: (json) => json,
+        System: { IO: systemIo },
+        http: createHttp()
+    });
+    const code = scriptFiles
+        .map((file) =>
+            fs
+                .readFileSync(path.join(scriptsDir, file), 'utf8')
+                .replace(/^import .*$/gm, '')
+                .replace(/^export class /gm, 'class ')
+        )
+        .join('\n');
+    vm.runInContext(
+        code + '\nthis.__output = Script(' + JSON.stringify(baseUrl) + ', ' + JSON.stringify(key) + ', false);',
+        context
+    );
+    return { output: context.__output, log: log };
+}
+
+function fileVariables(filePath, title) {
+    return {
+        'Jellyfin.MaxRetries': 0,
+        file: { FullName: filePath, Orig: { FileNameNoExtension: path.posix.basename(filePath, '.mkv') } },
+        VideoMetadata: { Title: title }
+    };
+}
+
+function recordedRequests() {
+    return JSON.parse(sendSync('GET', baseUrl + '/__requests', {}).Result.Content.ReadAsStringAsync().Result);
+}
+
+let failures = 0;
+function check(name, condition, details) {
+    console.log((condition ? 'ok   ' : 'FAIL ') + name);
+    if (!condition) {
+        failures++;
+        if (details) console.log('     ' + details.join('\n     '));
+    }
+}
+
+/**
+ * Runs the script and returns the requests the stub received meanwhile
+ */
+function scenario(name, variables, key) {
+    const before = recordedRequests().length;
+    const run = runScript(variables, key || apiKey);
+    const requests = recordedRequests().slice(before);
+    const details = run.log.concat(requests.map((r) => r.method + ' ' + r.url + ' ' + JSON.stringify(r.headers)));
+    return { name: name, output: run.output, requests: requests, details: details };
+}
+
+function find(requests, method, pattern) {
+    return requests.filter((r) => r.method === method && pattern.test(r.url));
+}
+
+function runChecks() {
+    const jellyfinHeaders = (r) =>
+        r.headers.authorization === 'MediaBrowser Token="' + apiKey + '"' && !r.headers['x-emby-token'];
+    const embyHeaders = (r) => r.headers['x-emby-token'] === apiKey && !r.headers.authorization;
+
+    let run = scenario(
+        'Jellyfin refresh',
+        fileVariables('/media/movies/The Matrix (1999)/The Matrix (1999).mkv', 'The Matrix')
+    );
+    check(run.name + ': output 1', run.output === 1, run.details);
+    check(
+        run.name + ': title search',
+        find(run.requests, 'GET', /^\/Items\?.*SearchTerm=The%20Matrix/).length === 1,
+        run.details
+    );
+    check(
+        run.name + ': item refreshed',
+        find(run.requests, 'POST', /^\/Items\/a1b2c3\/Refresh\?/).length === 1,
+        run.details
+    );
+    check(
+        run.name + ': no folder scan',
+        find(run.requests, 'POST', /^\/Library\/Media\/Updated/).length === 0,
+        run.details
+    );
+    check(
+        run.name + ': Authorization header only',
+        run.requests.length > 0 && run.requests.every(jellyfinHeaders),
+        run.details
+    );
+
+    run = scenario('Jellyfin folder scan', fileVariables('/media/movies/The Matrix (1999)/Renamed.mkv', 'The Matrix'));
+    const scans = find(run.requests, 'POST', /^\/Library\/Media\/Updated$/);
+    const scanBody = scans.length === 1 ? JSON.parse(scans[0].body) : null;
+    check(run.name + ': output 1', run.output === 1, run.details);
+    check(
+        run.name + ': library listed',
+        find(run.requests, 'GET', /^\/Items\?(?!.*SearchTerm)/).length > 0,
+        run.details
+    );
+    check(run.name + ': no item refresh', find(run.requests, 'POST', /\/Refresh/).length === 0, run.details);
+    check(
+        run.name + ': folder scan requested',
+        !!scanBody && scanBody.Updates[0].Path === '/media/movies/The Matrix (1999)',
+        run.details
+    );
+    check(
+        run.name + ': Authorization header only',
+        run.requests.length > 0 && run.requests.every(jellyfinHeaders),
+        run.details
+    );
+
+    const emby = fileVariables('/media/tv/Show/Season 01/Show - S01E01 - Pilot.mkv', 'Pilot');
+    emby['Jellyfin.ServerType'] = 'emby';
+    run = scenario('Emby refresh', emby);
+    check(run.name + ': output 1', run.output === 1, run.details);
+    check(
+        run.name + ': item refreshed',
+        find(run.requests, 'POST', /^\/Items\/d4e5f6\/Refresh\?/).length === 1,
+        run.details
+    );
+    check(
+        run.name + ': X-Emby-Token header only',
+        run.requests.length > 0 && run.requests.every(embyHeaders),
+        run.details
+    );
+
+    run = scenario(
+        'Wrong API key',
+        fileVariables('/media/movies/The Matrix (1999)/The Matrix (1999).mkv', 'The Matrix'),
+        'wrong-key'
+    );
+    check(run.name + ': output 2', run.output === 2, run.details);
+    // The server answers 401 to everything: no item is found and the folder scan fallback is rejected too
+    check(run.name + ': no item refresh', find(run.requests, 'POST', /\/Refresh/).length === 0, run.details);
+}
+
+const stub = childProcess.spawn(process.execPath, [path.join(__dirname, 'jellyfin-stub.js')], {
+    env: Object.assign({}, process.env, { PORT: String(port), API_KEY: apiKey }),
+    stdio: ['ignore', 'pipe', 'inherit']
+});
+const startTimeout = setTimeout(() => {
+    console.log('FAIL the stub did not start on port ' + port);
+    stub.kill();
+    process.exitCode = 1;
+}, 10000);
+stub.stdout.once('data', () => {
+    clearTimeout(startTimeout);
+    try {
+        runChecks();
+    } catch (err) {
+        console.log('FAIL ' + (err.stack || err));
+        failures++;
+    } finally {
+        stub.kill();
+    }
+    console.log(failures ? failures + ' check(s) failed' : 'All checks passed');
+    process.exitCode = failures ? 1 : 0;
+});
@@ -0,0 +1,90 @@
+/**
+ * Local Jellyfin/Emby stand-in for trying `Shared/JellyfinVc.js` and `Media Server - Refresh Item` without a real
+ * server. Serves the endpoints the client uses from a fixture library, checks the API key the same way the server
+ * does (Jellyfin `Authorization: MediaBrowser Token="..."` or Emby `X-Emby-Token`) and logs every request.
+ *
+ * Usage: npm run stub:jellyfin -- [fixture.json] (or node Tools/jellyfin-stub.js [fixture.json])
+ *   PORT (default 8096), API_KEY (default stub-key)
+ * Then set `Jellyfin.Url` to http://<host>:8096 and `Jellyfin.ApiKey` to the API key in FileFlows.
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const port = parseInt(process.env.PORT || '8096', 10);
+const apiKey = process.env.API_KEY || 'stub-key';
+const fixtureFile = process.argv[2] || path.join(__dirname, 'fixtures', 'jellyfin-library.json');
+const library = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'));
+
+// Every request with its API key headers, so a script run can be checked afterwards (GET /__requests)
+const requests = [];
+
+function readToken(req) {
+    const emby = req.headers['x-emby-token'];
+    if (emby) return emby;
+    const match = String(req.headers.authorization || '').match(/Token="([^"]*)"/);
+    return match ? match[1] : null;
+}
+
+function send(res, status, body) {
+    if (body === undefined) {
+        res.writeHead(status);
+        res.end();
+        return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function listItems(query) {
+    const term = (query.get('SearchTerm') || '').toLowerCase();
+    const types = (query.get('IncludeItemTypes') || '').split(',').filter((t) => !!t);
+    const matches = library.items.filter(
+        (x) => (!term || x.Name.toLowerCase().indexOf(term) !== -1) && (!types.length || types.indexOf(x.Type) !== -1)
+    );
+    const start = parseInt(query.get('StartIndex') || '0', 10);
+    const limit = parseInt(query.get('Limit') || String(matches.length), 10);
+    return { Items: matches.slice(start, start + limit), TotalRecordCount: matches.length, StartIndex: start };
+}
+
+function handle(req, res, body) {
+    const url = new URL(req.url, 'http://localhost');
+    const route = req.method + ' ' + url.pathname;
+    if (route === 'GET /__requests') return send(res, 200, requests);
+
+    requests.push({
+        method: req.method,
+        url: req.url,
+        body: body || null,
+        headers: {
+            authorization: req.headers.authorization || null,
+            'x-emby-token': req.headers['x-emby-token'] || null
+        }
+    });
+    if (readToken(req) !== apiKey) return send(res, 401, { error: 'Invalid API key' });
+
+    if (route === 'GET /System/Info')
+        return send(res, 200, { Version: library.version || '10.9.0', ServerName: 'stub' });
+    if (route === 'GET /Library/VirtualFolders') return send(res, 200, library.libraries);
+    if (route === 'GET /Items') return send(res, 200, listItems(url.searchParams));
+    if (route === 'POST /Library/Media/Updated') return send(res, 204);
+
+    const refresh = route.match(/^POST \/Items\/([^/]+)\/Refresh$/);
+    if (refresh) {
+        return library.items.some((x) => x.Id === refresh[1]) ? send(res, 204) : send(res, 404, { error: 'No item' });
+    }
+    return send(res, 404, { error: 'Not implemented by the stub: ' + route });
+}
+
+http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+        handle(req, res, body);
+        console.log(req.method + ' ' + req.url + ' -> ' + res.statusCode + (body ? ' ' + body : ''));
+    });
+}).listen(port, () => {
+    console.log(
+        'Jellyfin stub on http://localhost:' + port + ' (API key: ' + apiKey + ', fixture: ' + fixtureFile + ')'
+    );
+});
@@ -44,6 +44,14 @@ export default [
             'no-useless-escape': 'error'
         }
     },
+    {
+        files: ['Tools/**/*.js'],
+        languageOptions: {
+            ecmaVersion: 'latest',
+            sourceType: 'commonjs',
+            globals: globals.node
+        }
+    },
     {
         files: ['*.mjs'],
         languageOptions: {